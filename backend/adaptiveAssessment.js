@@ -0,0 +1,152 @@
+import { generateJSON } from "../pdf/llm/index.js";
+import { validateQuestions } from "../pdf/questionSchema.js";
+
+// ===============================
+// ADAPTIVE LEVEL ASSESSMENT
+// ===============================
+// Computerized-adaptive testing on a 3-parameter logistic model:
+//
+//   P(correct | ability θ) = c + (1 - c) / (1 + e^-(θ - b))
+//
+// b is the item difficulty (one value per difficulty tag) and c the chance
+// of guessing one of four options. Ability is estimated on a grid with a
+// standard normal prior (expected a posteriori). The level is the band that
+// holds most of the posterior; that share is the confidence. Each next item
+// is the unasked one that tells us the most at the current estimate
+// (highest Fisher information), and the test stops once the confidence
+// reaches the target.
+//
+// Config: ASSESSMENT_TARGET_CONFIDENCE (default 0.8), ASSESSMENT_MIN_ITEMS
+// (default 3), ASSESSMENT_MAX_ITEMS (default 10).
+
+export const LEVELS = ["Beginner", "Intermediate", "Advanced"];
+
+const ITEM_DIFFICULTY = { Beginner: -1.5, Intermediate: 0, Advanced: 1.5 };
+
+// Ability bands: below -0.75 Beginner, above 0.75 Advanced
+const LEVEL_CUTS = [-0.75, 0.75];
+
+const GUESSING = 0.25;
+const GRID = Array.from({ length: 81 }, (_, i) => -4 + i * 0.1);
+
+// Items generated per difficulty level when a session starts
+export const ITEMS_PER_LEVEL = 4;
+
+export const assessmentLimits = () => ({
+  targetConfidence: Number(process.env.ASSESSMENT_TARGET_CONFIDENCE || 0.8),
+  minItems: Number(process.env.ASSESSMENT_MIN_ITEMS || 3),
+  maxItems: Number(process.env.ASSESSMENT_MAX_ITEMS || 10)
+});
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const difficultyOf = (item) => ITEM_DIFFICULTY[item.difficulty] ?? 0;
+
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+
+const pCorrect = (theta, b) => GUESSING + (1 - GUESSING) * logistic(theta - b);
+
+// How much an answer to an item of difficulty b narrows down θ
+function information(theta, b) {
+  const l = logistic(theta - b);
+  const p = GUESSING + (1 - GUESSING) * l;
+  const slope = (1 - GUESSING) * l * (1 - l);
+  return (slope * slope) / (p * (1 - p));
+}
+
+const levelIndex = (theta) => (theta < LEVEL_CUTS[0] ? 0 : theta <= LEVEL_CUTS[1] ? 1 : 2);
+
+// responses: [{ difficulty, correct }] → { ability, standardError, level, confidence, distribution }
+export function estimateLevel(responses) {
+  const weights = GRID.map((theta) =>
+    responses.reduce((w, r) => {
+      const p = pCorrect(theta, ITEM_DIFFICULTY[r.difficulty] ?? 0);
+      return w * (r.correct ? p : 1 - p);
+    }, Math.exp((-theta * theta) / 2))
+  );
+
+  const total = weights.reduce((a, b) => a + b, 0);
+  const posterior = weights.map((w) => w / total);
+
+  const mean = GRID.reduce((acc, theta, i) => acc + theta * posterior[i], 0);
+  const variance = GRID.reduce((acc, theta, i) => acc + (theta - mean) ** 2 * posterior[i], 0);
+
+  const mass = [0, 0, 0];
+  GRID.forEach((theta, i) => {
+    mass[levelIndex(theta)] += posterior[i];
+  });
+
+  const best = mass.indexOf(Math.max(...mass));
+
+  return {
+    ability: round2(mean),
+    standardError: round2(Math.sqrt(variance)),
+    level: LEVELS[best],
+    confidence: round2(mass[best]),
+    distribution: Object.fromEntries(LEVELS.map((level, i) => [level, round2(mass[i])]))
+  };
+}
+
+// Index of the most informative unasked item at the current ability, or -1
+export function selectNextItem(items, askedIndexes, ability) {
+  let bestIndex = -1;
+  let bestInfo = -Infinity;
+
+  items.forEach((item, i) => {
+    if (askedIndexes.includes(i)) return;
+
+    const info = information(ability, difficultyOf(item));
+    if (info > bestInfo + 1e-9) {
+      bestIndex = i;
+      bestInfo = info;
+    }
+  });
+
+  return bestIndex;
+}
+
+export function shouldStop(answered, remaining, estimate) {
+  const { targetConfidence, minItems, maxItems } = assessmentLimits();
+
+  if (remaining === 0 || answered >= maxItems) return true;
+  return answered >= minItems && estimate.confidence >= targetConfidence;
+}
+
+// Item pool for one session: ITEMS_PER_LEVEL schema-valid MCQs per level
+export async function generateItemPool(topic) {
+  const prompt = `
+You are an expert instructor designing an adaptive knowledge assessment.
+
+User's topic: ${topic}
+
+Generate exactly ${ITEMS_PER_LEVEL} multiple-choice questions for EACH difficulty level
+(Beginner, Intermediate, Advanced), ${ITEMS_PER_LEVEL * LEVELS.length} questions in total.
+
+- Beginner: definitions and foundational concepts
+- Intermediate: applying the concepts to realistic situations
+- Advanced: edge cases, trade-offs and deep understanding
+- Each question has 4 distinct options and exactly one correct answer
+- "answer" must be the full text of the correct option
+
+Return ONLY a valid JSON array, no explanation:
+
+[
+  { "question": "...", "options": ["...", "...", "...", "..."], "answer": "...", "difficulty": "Beginner" }
+]
+`;
+
+  const raw = await generateJSON({
+    prompt,
+    task: "level-test",
+    input: { topic, perLevel: ITEMS_PER_LEVEL }
+  });
+
+  const { valid } = validateQuestions(Array.isArray(raw) ? raw.map((q) => ({ type: "mcq", ...q })) : []);
+  const items = valid.filter((q) => LEVELS.includes(q.difficulty));
+
+  if (items.length === 0) {
+    throw new Error("No valid assessment questions generated");
+  }
+
+  return items;
+}
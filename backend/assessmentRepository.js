@@ -0,0 +1,55 @@
+import { randomBytes } from "crypto";
+import { createCollection } from "./store.js";
+
+// Adaptive assessment sessions expire after ASSESSMENT_TTL_HOURS (default: 1 day)
+const ASSESSMENT_TTL_MS = Number(process.env.ASSESSMENT_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+const sessions = createCollection("assessments");
+
+const isExpired = (session) => session.expiresAt && new Date(session.expiresAt).getTime() <= Date.now();
+
+// Stores a new session. `items` keep their answers; they never leave the server.
+export function createSession({ userId, topic, items, attemptId = null, profileId = null }) {
+  const id = `assess_${Date.now()}_${randomBytes(3).toString("hex")}`;
+  const now = Date.now();
+
+  return sessions.set(id, {
+    id,
+    userId,
+    topic,
+    attemptId,
+    profileId,
+    items,
+    responses: [],
+    pendingItem: null,
+    status: "active",
+    estimate: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ASSESSMENT_TTL_MS).toISOString()
+  });
+}
+
+// Returns the session, or null when it does not exist or has expired
+export function getSession(id) {
+  const session = sessions.get(id);
+  if (!session) return null;
+
+  if (isExpired(session)) {
+    sessions.delete(id);
+    return null;
+  }
+
+  return session;
+}
+
+export function updateSession(id, changes) {
+  const session = sessions.get(id);
+  if (!session) return null;
+
+  return sessions.set(id, { ...session, ...changes });
+}
+
+// Deletes every expired session and returns how many were removed
+export function purgeExpiredSessions() {
+  return sessions.deleteWhere(isExpired);
+}
@@ -0,0 +1,51 @@
+import { randomBytes } from "crypto";
+import { createCollection } from "./store.js";
+
+const attempts = createCollection("attempts");
+
+// Records one quiz evaluation for a user and returns the saved attempt
+export function createAttempt({ userId, quizId, questions, answers, correct, wrong, score, review, skills = [] }) {
+  const id = `attempt_${Date.now()}_${randomBytes(3).toString("hex")}`;
+
+  return attempts.set(id, {
+    id,
+    userId,
+    quizId,
+    questions,
+    answers,
+    correct,
+    wrong,
+    score,
+    review,
+    skills,
+    level: null,
+    learningStyle: null,
+    createdAt: new Date().toISOString()
+  });
+}
+
+export function getAttempt(id) {
+  return attempts.get(id);
+}
+
+// Merges later results (assessed level, learning style) into an existing attempt
+export function updateAttempt(id, changes) {
+  const attempt = attempts.get(id);
+  if (!attempt) return null;
+
+  return attempts.set(id, { ...attempt, ...changes, updatedAt: new Date().toISOString() });
+}
+
+// Newest first
+export function listAttemptsForUser(userId) {
+  return attempts
+    .values()
+    .filter((attempt) => attempt.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Deletes attempts stored without a user (kept by older versions, which
+// nobody can read back) and returns how many were removed
+export function purgeAnonymousAttempts() {
+  return attempts.deleteWhere((attempt) => !attempt.userId);
+}
@@ -0,0 +1,33 @@
+import { clerkMiddleware, getAuth } from "@clerk/express";
+
+// ===============================
+// CLERK AUTHENTICATION
+// ===============================
+// The frontend signs users in with Clerk and sends the session token as
+// "Authorization: Bearer <token>". Without CLERK_SECRET_KEY every request is anonymous.
+const clerkEnabled = Boolean(process.env.CLERK_SECRET_KEY);
+
+if (!clerkEnabled) {
+  console.warn("⚠️ CLERK_SECRET_KEY not set - requests will be treated as anonymous");
+}
+
+export const authMiddleware = clerkEnabled
+  ? clerkMiddleware()
+  : (req, res, next) => next();
+
+// Returns the signed-in Clerk user id, or null for anonymous requests
+export function currentUserId(req) {
+  if (!clerkEnabled) return null;
+  return getAuth(req)?.userId || null;
+}
+
+// Rejects anonymous requests and exposes the user id as req.userId
+export function requireUser(req, res, next) {
+  const userId = currentUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  req.userId = userId;
+  next();
+}
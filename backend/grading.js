@@ -0,0 +1,119 @@
+import { gradeWithRubric } from "../pdf/rubricGrader.js";
+
+// ===============================
+// ANSWER GRADING
+// ===============================
+// One grading rule per question type. Every rule resolves to
+// { isCorrect, score: 0..1, feedback }.
+//
+// Short answers are graded by normalized/fuzzy matching. Set
+// SHORT_ANSWER_GRADING=llm to additionally ask the LLM to apply the rubric
+// when fuzzy matching does not accept the answer.
+
+const SHORT_ANSWER_SIMILARITY = 0.85;
+const KEYWORD_COVERAGE = 0.6;
+
+// Short answers are a sentence or two; only this much of a response is graded
+const MAX_SHORT_ANSWER_CHARS = 2000;
+
+// Lowercase, drop punctuation and articles, collapse whitespace
+export const normalizeText = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .replace(/\b(a|an|the)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Option answers are compared exactly, ignoring case and surrounding whitespace
+const optionKey = (value) => String(value ?? "").trim().toLowerCase();
+
+// Levenshtein distance turned into a 0..1 similarity. The distance is at
+// least the length difference, so `min` can rule a pair out without the
+// quadratic comparison.
+function similarity(a, b, min = 0) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+  if (1 - Math.abs(a.length - b.length) / Math.max(a.length, b.length) < min) return 0;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+const result = (isCorrect, feedback = "") => ({ isCorrect, score: isCorrect ? 1 : 0, feedback });
+
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const rules = {
+  mcq: (answer, response) => result(optionKey(answer) === optionKey(response)),
+
+  true_false: (answer, response) => result(optionKey(answer) === optionKey(response)),
+
+  // All correct options and nothing else
+  multi_select: (answer, response) => {
+    const expected = new Set(toList(answer).map(optionKey));
+    const chosen = new Set(toList(response).map(optionKey));
+    const isCorrect = expected.size === chosen.size && [...expected].every((a) => chosen.has(a));
+    return result(isCorrect);
+  },
+
+  // Exact after normalization, against the answer or any accepted alternative
+  fill_blank: (answer, response, question) => {
+    const accepted = [answer, ...toList(question.acceptedAnswers)].map(normalizeText);
+    return result(accepted.includes(normalizeText(response)));
+  },
+
+  short_answer: async (answer, response, question) => {
+    const text = String(response ?? "").slice(0, MAX_SHORT_ANSWER_CHARS);
+    const expected = normalizeText(answer);
+    const given = normalizeText(text);
+
+    if (!given) return result(false, "No answer given");
+
+    if (similarity(expected, given, SHORT_ANSWER_SIMILARITY) >= SHORT_ANSWER_SIMILARITY) {
+      return result(true, "Matches the model answer");
+    }
+
+    const keywords = toList(question.keywords).map(normalizeText).filter(Boolean);
+    if (keywords.length > 0) {
+      const covered = keywords.filter((k) => given.includes(k)).length;
+      if (covered / keywords.length >= KEYWORD_COVERAGE) {
+        return result(true, `Mentions ${covered} of ${keywords.length} key terms`);
+      }
+    }
+
+    if (process.env.SHORT_ANSWER_GRADING === "llm") {
+      try {
+        const graded = await gradeWithRubric({
+          question: question.question,
+          modelAnswer: answer,
+          rubric: question.rubric,
+          response: text
+        });
+        return { isCorrect: graded.score >= 0.5, score: graded.score, feedback: graded.feedback };
+      } catch (err) {
+        console.error("❌ Rubric grading failed, using fuzzy result:", err.message);
+      }
+    }
+
+    return result(false, "Does not match the model answer");
+  }
+};
+
+// Grades one response against the stored answer key for that question
+export async function gradeResponse(question, answer, response) {
+  const rule = rules[question?.type] || rules.mcq;
+  return rule(answer, response, question || {});
+}
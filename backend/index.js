@@ -1,11 +1,33 @@
+import "dotenv/config";
 import express from "express";
-import dotenv from "dotenv";
 import cors from "cors";
 import fetch from "node-fetch";
-
-import { generateQuestions } from "../pdf/questionGenerator.js";
-
-dotenv.config();
+import busboy from "busboy";
+
+import { generateQuestionsCached, extractSkillProfileCached } from "../pdf/cache.js";
+import { validateGenerationOptions, MAX_QUESTION_COUNT, MAX_SKILLS } from "../pdf/generationOptions.js";
+import { skillsFromProfile } from "../pdf/skillProfile.js";
+import { scoreBySkill } from "./skillScores.js";
+import { addMissedQuestions, getCard, listCardsForUser, listDueCards, recordReview } from "./reviewRepository.js";
+import { MIN_QUALITY, MAX_QUALITY } from "./spacedRepetition.js";
+import { generateJSON } from "../pdf/llm/index.js";
+import { saveQuiz, getQuiz, getQuizSource, purgeExpiredQuizzes } from "./quizRepository.js";
+import { createAttempt, getAttempt, updateAttempt, listAttemptsForUser, purgeAnonymousAttempts } from "./attemptRepository.js";
+import { authMiddleware, currentUserId, requireUser } from "./auth.js";
+import { gradeResponse } from "./grading.js";
+import { estimateLevel, selectNextItem, shouldStop, generateItemPool, assessmentLimits, LEVELS } from "./adaptiveAssessment.js";
+import { createSession, getSession, updateSession, purgeExpiredSessions } from "./assessmentRepository.js";
+import { saveLevelTest, getLevelTest, markLevelTestEvaluated, purgeExpiredLevelTests } from "./levelTestRepository.js";
+import { validateQuestions } from "../pdf/questionSchema.js";
+import { getProfile, saveProfile, setTopicLevel, levelForTopic, newAnonymousProfileId, purgeExpiredProfiles } from "./profileRepository.js";
+import { personalizeContent, validatePreferences } from "./personalization.js";
+import { getQuestionnaire, publicQuestionnaire, scoreQuestionnaire } from "./questionnaire.js";
+import { recommendTopics } from "./recommendations.js";
+import { generateLesson } from "./lessonGenerator.js";
+
+const PDF_SERVICE_URL = process.env.PDF_SERVICE_URL || "http://localhost:3333";
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB || 20);
+const MAX_UPLOAD_BYTES = Math.floor(MAX_UPLOAD_MB * 1024 * 1024);
 
 const app = express();
 app.use(cors({
@@ -13,56 +35,298 @@ app.use(cors({
   exposedHeaders: ["X-Quiz-Id"]
 }));
 
-app.use(express.json());
+// Whole documents are posted to /generate, so allow more than the 100kb default
+app.use(express.json({ limit: "5mb" }));
+app.use(authMiddleware);
+
+// Sweep expired quizzes, assessment sessions, level tests, anonymous profiles
+// and attempts once an hour
+setInterval(() => {
+  const removed = purgeExpiredQuizzes();
+  if (removed > 0) console.log(`🧹 Removed ${removed} expired quizzes`);
+
+  const sessionsRemoved = purgeExpiredSessions();
+  if (sessionsRemoved > 0) console.log(`🧹 Removed ${sessionsRemoved} expired assessment sessions`);
+
+  const testsRemoved = purgeExpiredLevelTests();
+  if (testsRemoved > 0) console.log(`🧹 Removed ${testsRemoved} expired level tests`);
+
+  const profilesRemoved = purgeExpiredProfiles();
+  if (profilesRemoved > 0) console.log(`🧹 Removed ${profilesRemoved} expired anonymous profiles`);
+
+  const attemptsRemoved = purgeAnonymousAttempts();
+  if (attemptsRemoved > 0) console.log(`🧹 Removed ${attemptsRemoved} anonymous attempts`);
+}, 60 * 60 * 1000).unref();
+
+// Attaches a later result (level, learning style) to the caller's own attempt.
+// Anonymous learners have no stored attempts, so there is nothing to update.
+const attachToAttempt = (req, attemptId, changes) => {
+  const userId = currentUserId(req);
+  if (!attemptId || !userId) return;
+
+  const attempt = getAttempt(attemptId);
+  if (!attempt || attempt.userId !== userId) return;
 
-// In-memory store for quizzes
-const answerStore = {};
+  updateAttempt(attemptId, changes);
+};
+
+// Learner profile id: the user id when signed in, otherwise the anonymous
+// profile the client got back as styleId (null when there is none)
+const profileIdFor = (req, styleId) => {
+  const userId = currentUserId(req);
+  if (userId) return userId;
+
+  const profile = getProfile(styleId);
+  return profile && !profile.userId ? profile.id : null;
+};
+
+// Text of the document behind the signed-in caller's own attempt or quiz, or null
+const sourceTextFor = (req, { attemptId, quizId }) => {
+  const userId = currentUserId(req);
+  if (!userId) return null;
+
+  const attempt = attemptId ? getAttempt(attemptId) : null;
+  const quiz = getQuiz(attempt && attempt.userId === userId ? attempt.quizId : quizId);
+
+  if (!quiz || quiz.owner !== userId) return null;
+  return getQuizSource(quiz);
+};
 
 // ===============================
-// READ PDF FROM GITHUB
+// PDF SERVICE (MCP) CLIENT
 // ===============================
-app.post("/read-pdf", async (req, res) => {
-  try {
-    const { github_url } = req.body;
-    if (!github_url) return res.status(400).json({ error: "github_url required" });
-
-    const rpcBody = {
+// Calls one tool on the PDF service's MCP endpoint (stateless streamable
+// HTTP, so no initialize round-trip is needed) and resolves to the tool's
+// structured result. Protocol errors and tool errors (isError) both reject;
+// the rejection carries the tool's error fields (provider, status, ...).
+async function callPdfTool(name, args) {
+  const response = await fetch(`${PDF_SERVICE_URL}/mcp`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+      "MCP-Protocol-Version": "2025-06-18"
+    },
+    body: JSON.stringify({
       jsonrpc: "2.0",
       id: Date.now(),
       method: "tools/call",
-      params: { name: "read_github_pdf", arguments: { github_url } }
-    };
+      params: { name, arguments: args }
+    })
+  });
+
+  const data = await response.json().catch(() => null);
+
+  if (!data || data.error) {
+    const err = new Error(data?.error?.message || `PDF service failed with HTTP ${response.status}`);
+    err.details = data?.error?.data?.details;
+    throw err;
+  }
+
+  const { structuredContent = {}, isError } = data.result;
+
+  if (isError) {
+    throw Object.assign(new Error(structuredContent.error || "PDF service tool failed"), structuredContent);
+  }
+
+  return structuredContent;
+}
+
+// ===============================
+// READ DOCUMENT FROM A LINK
+// ===============================
+// GitHub (public, or private with GITHUB_TOKEN on the PDF service), GitLab,
+// Bitbucket, gists and plain URLs are resolved by the PDF service, which
+// refuses private and local addresses.
+app.post("/read-pdf", async (req, res) => {
+  try {
+    // Any supported document link (PDF, DOCX, Markdown, HTML, TXT); github_url kept for old clients
+    const url = req.body.url || req.body.github_url;
+    if (!url) return res.status(400).json({ error: "url required" });
+
+    const { text, document, cache } = await callPdfTool("read_document", { url, bypass_cache: Boolean(req.body.bypassCache) });
+    if (!text) return res.status(500).json({ error: "No text extracted" });
+
+    // `document` holds pages and sections; `text` is the flat text as before
+    return res.json({ text, document, cache });
+
+  } catch (err) {
+    console.error("❌ /read-pdf error:", err.message);
 
-    const response = await fetch("http://localhost:3333", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(rpcBody)
+    // Source problems (bad link, missing file, private repo) carry the provider's status
+    if (err.provider) {
+      const status = err.status === 400 || err.status === 404 ? err.status : 502;
+      return res.status(status).json({ error: err.message, provider: err.provider });
+    }
+
+    return res.status(500).json({ error: "Document extraction failed", details: err.message });
+  }
+});
+
+// ===============================
+// UPLOAD PDF
+// ===============================
+// multipart/form-data with one "file" field. The file is streamed straight to
+// the PDF service's /extract endpoint and never buffered in this process.
+
+// The PDF service answers 413 and closes the connection while the upload is
+// still streaming; fetch then fails with a reset instead of returning that response
+const isUploadCutOff = (err) => ["ECONNRESET", "EPIPE", "UND_ERR_SOCKET"].includes(err.code || err.cause?.code);
+
+app.post("/upload-pdf", (req, res) => {
+  let bb;
+  try {
+    bb = busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
+  } catch (err) {
+    return res.status(400).json({ error: "multipart/form-data body required" });
+  }
+
+  let responded = false;
+  let sawFile = false;
+
+  const reply = (status, payload) => {
+    if (responded) return;
+    responded = true;
+    res.status(status).json(payload);
+  };
+
+  // Replying before the upload is fully read: discard the rest of the body,
+  // otherwise busboy stalls and the client socket hangs
+  const abandon = (file) => {
+    req.unpipe(bb);
+    file.resume();
+    req.resume();
+  };
+
+  bb.on("file", async (field, file, info) => {
+    const { filename, mimeType } = info;
+
+    if (field !== "file" || sawFile) {
+      file.resume();
+      return;
+    }
+    sawFile = true;
+
+    if (mimeType !== "application/pdf" && !/\.pdf$/i.test(filename || "")) {
+      abandon(file);
+      return reply(415, { error: "Only PDF files are supported" });
+    }
+
+    const controller = new AbortController();
+    file.on("limit", () => {
+      controller.abort();
+      abandon(file);
+      reply(413, { error: `File larger than ${MAX_UPLOAD_MB} MB` });
     });
 
-    if (!response.ok) {
-      const txt = await response.text();
-      return res.status(500).json({ error: "PDF service failed", details: txt });
+    try {
+      const response = await fetch(`${PDF_SERVICE_URL}/extract`, {
+        method: "POST",
+        headers: { "Content-Type": "application/pdf" },
+        body: file,
+        signal: controller.signal
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        abandon(file);
+        const status = [413, 415].includes(response.status) ? response.status : 500;
+        return reply(status, { error: data.error || "PDF service failed", details: data.details });
+      }
+
+      if (!data.text) return reply(500, { error: "No text extracted" });
+
+      return reply(200, { text: data.text, document: data.document, filename, cache: data.cache });
+
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      abandon(file);
+
+      if (isUploadCutOff(err)) {
+        return reply(413, { error: "File larger than the PDF service accepts" });
+      }
+
+      console.error("❌ /upload-pdf error:", err);
+      return reply(500, { error: "PDF extraction failed", details: err.message });
+    }
+  });
+
+  bb.on("close", () => {
+    if (!sawFile) reply(400, { error: "file field required" });
+  });
+
+  bb.on("error", (err) => reply(400, { error: "Invalid upload", details: err.message }));
+
+  req.pipe(bb);
+});
+
+// ===============================
+// RESUME SKILL PROFILE
+// ===============================
+// { url } of a resume (PDF or any format /read-pdf accepts), or { docText }
+// already extracted. Returns { profile, cache } with skills, tools,
+// frameworks, projects and seniority, each with evidence from the resume.
+app.post("/skill-profile", async (req, res) => {
+  try {
+    const { url, docText } = req.body;
+    const bypass = Boolean(req.body.bypassCache);
+
+    if (url) {
+      const { profile, cache } = await callPdfTool("extract_skill_profile", { url, bypass_cache: bypass });
+      return res.json({ profile, cache });
     }
 
-    const data = await response.json();
-    if (!data?.result?.text) return res.status(500).json({ error: "No text extracted", raw: data });
+    if (!docText || !docText.trim()) {
+      return res.status(400).json({ error: "url or docText required" });
+    }
 
-    return res.json({ text: data.result.text });
+    const { profile, cache } = await extractSkillProfileCached(docText, { bypass });
+    return res.json({ profile, cache: { profile: cache } });
 
   } catch (err) {
-    console.error("❌ /read-pdf error:", err);
-    return res.status(500).json({ error: "PDF extraction failed", details: err.message });
+    console.error("❌ /skill-profile error:", err.message);
+
+    if (err.provider) {
+      const status = err.status === 400 || err.status === 404 ? err.status : 502;
+      return res.status(status).json({ error: err.message, provider: err.provider });
+    }
+
+    if (err.message.toLowerCase().includes("not enough content")) {
+      return res.status(400).json({ error: "not_enough_content", message: "Resume too short to extract a skill profile." });
+    }
+
+    if (err.message.includes("Too Many Requests") || err.message.toLowerCase().includes("quota")) {
+      return res.status(429).json({ error: "rate_limit", message: "External AI quota exceeded. Try again later." });
+    }
+
+    return res.status(500).json({ error: "Skill profile extraction failed", details: err.message });
   }
 });
 
 // ===============================
 // GENERATE MCQ QUESTIONS
 // ===============================
+// `skillProfile` (from /skill-profile) without explicit `options.skills`
+// quizzes on as many of the profile's skills as fit in one quiz; the
+// question count then follows from options.questionsPerSkill.
 app.post("/generate", async (req, res) => {
   try {
-    const { docText, topic } = req.body;
+    const { docText, topic, skillProfile } = req.body;
     let text = "";
 
+    let rawOptions = req.body.options || {};
+    if (skillProfile && !rawOptions.skills) {
+      const { count, ...rest } = rawOptions;
+      const limit = Math.min(MAX_SKILLS, Math.floor(MAX_QUESTION_COUNT / (Number(rest.questionsPerSkill) || 1)));
+      rawOptions = { ...rest, skills: skillsFromProfile(skillProfile, limit) };
+    }
+
+    const { options, errors } = validateGenerationOptions(rawOptions);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "invalid_options", message: "Invalid quiz settings", details: errors });
+    }
+
     if (docText && docText.trim().length > 100) {
       text = docText;
     } else if (topic && topic.trim()) {
@@ -71,47 +335,37 @@ app.post("/generate", async (req, res) => {
       return res.status(400).json({ error: "docText or topic required" });
     }
 
-    const questions = await generateQuestions(text);
-    if (!Array.isArray(questions)) throw new Error("Invalid Gemini response");
-
-    const quizId = `quiz_${Date.now()}`;
-    
-    // Normalize stored answers: convert letter/index to actual option text
-    const normalizedAnswers = questions.map((q) => {
-      const ans = q.answer;
-      const opts = Array.isArray(q.options) ? q.options : [];
-
-      if (!ans) return opts[0] || "";
-
-      if (typeof ans === "string" && /^[A-D]$/i.test(ans) && opts.length > 0) {
-        const idx = ans.toUpperCase().charCodeAt(0) - 65;
-        return opts[idx] || opts[0];
-      }
-
-      if (typeof ans === "number" && opts.length > 0) {
-        return opts[ans] || opts[0];
-      }
-
-      return ans;
+    // Questions arrive schema-validated and tagged with their source chunk;
+    // invalid ones are listed in `dropped`. The same text with the same
+    // options is served from the question cache unless bypassCache is set.
+    const { questions, dropped, cache } = await generateQuestionsCached(text, options, {
+      bypass: Boolean(req.body.bypassCache)
     });
+    const normalizedAnswers = questions.map((q) => q.answer);
 
-    answerStore[quizId] = {
+    const quiz = saveQuiz({
       questions,
-      answers: normalizedAnswers
-    };
+      answers: normalizedAnswers,
+      owner: currentUserId(req),
+      sourceText: text === docText ? text : null
+    });
 
-    
-    console.log("✅ Quiz stored:", quizId, answerStore[quizId]);
+    console.log("✅ Quiz stored:", quiz.id);
 
-    res.setHeader("X-Quiz-Id", quizId);
-   
+    res.setHeader("X-Quiz-Id", quiz.id);
+    res.setHeader("X-Cache", cache);
 
-    return res.json(questions);
+    return res.json({ quizId: quiz.id, questions, dropped, cache });
 
   } catch (err) {
     console.error("❌ /generate error:", err);
     const msg = err && err.message ? err.message : String(err);
 
+    // Every generated question failed schema validation, even after repair
+    if (err && err.dropped) {
+      return res.status(422).json({ error: "invalid_questions", message: msg, dropped: err.dropped });
+    }
+
     // If request didn't include enough content, return 400
     if (msg.toLowerCase().includes("not enough content")) {
       return res.status(400).json({ error: "not_enough_content", message: "Document too short for question generation. Provide a longer document or topic." });
@@ -158,46 +412,19 @@ app.post("/generate-from-pdf", async (req, res) => {
 // ===============================
 // GENERATE LEARNING STYLE QUESTIONS
 // ===============================
-// Returns 5 general learning preference questions (not technical)
-// Each question has exactly 3 options
+// Returns the learning preference questionnaire (latest version unless
+// { version } is given) without its scoring weights. Questions and weights
+// live in backend/questionnaires/.
 app.post("/generate-learning-questions", async (req, res) => {
   try {
-    // 5 learning-preference questions focused on learning style
-    // Each question has exactly 3 options (not 4)
-    const questions = [
-      {
-        id: 1,
-        question: "How do you prefer learning new technical concepts?",
-        options: ["Reading documentation", "Watching video tutorials", "Hands-on coding practice"],
-        category: "learning_method"
-      },
-      {
-        id: 2,
-        question: "When learning, which approach works best for you?",
-        options: ["Step-by-step guided tutorials", "Big picture theory first", "Jump straight to practice"],
-        category: "approach"
-      },
-      {
-        id: 3,
-        question: "How comfortable are you reading technical documentation?",
-        options: ["Very comfortable", "Somewhat comfortable", "Prefer tutorials instead"],
-        category: "documentation"
-      },
-      {
-        id: 4,
-        question: "What's your main learning goal?",
-        options: ["Understand core concepts deeply", "Get practical skills quickly", "Build a specific project"],
-        category: "goal"
-      },
-      {
-        id: 5,
-        question: "How do you prefer consuming content?",
-        options: ["Short focused lessons", "Long comprehensive courses", "Interactive sandbox environments"],
-        category: "consumption"
-      }
-    ];
+    const { questionnaire: id = "learning-style", version } = req.body || {};
 
-    return res.json(questions);
+    const def = getQuestionnaire(id, version);
+    if (!def) {
+      return res.status(404).json({ error: `Unknown questionnaire ${id}${version ? ` v${version}` : ""}` });
+    }
+
+    return res.json(publicQuestionnaire(def));
 
   } catch (err) {
     console.error("❌ /generate-learning-questions error:", err);
@@ -208,59 +435,48 @@ app.post("/generate-learning-questions", async (req, res) => {
 // ===============================
 // EVALUATE LEARNING STYLE
 // ===============================
-// Evaluates learning preference answers and determines learning style
-// Does NOT return score to frontend - only stores internally
+// Scores the answers against the questionnaire version that was shown and
+// stores the style vector, learning style and preferences in the learner profile.
+// Does NOT return score to frontend
 app.post("/evaluate-learning-style", (req, res) => {
   try {
-    const { answers, topic } = req.body;
+    const { answers, topic, attemptId, styleId: knownStyleId, questionnaire: id = "learning-style", version } = req.body;
 
-    if (!Array.isArray(answers) || answers.length !== 5) {
-      return res.status(400).json({ error: "Expected 5 answers" });
+    const def = getQuestionnaire(id, version);
+    if (!def) {
+      return res.status(404).json({ error: `Unknown questionnaire ${id}${version ? ` v${version}` : ""}` });
     }
 
-    // Score learning style based on answer patterns
-    // We analyze the answers to determine learning preference level
-    let styleScore = 0;
-
-    // Map answers to points (simplified scoring)
-    // Index 0 = practice-oriented, Index 1 = theory-oriented
-    const answerScores = [
-      [0, 0, 2, 1], // Q1: practice preference
-      [1, 0, 2, 1], // Q2: practice vs theory
-      [1, 1, 0, 2], // Q3: documentation comfort
-      [1, 2, 0, 1], // Q4: deep vs quick
-      [1, 1, 2, 0]  // Q5: consumption preference
-    ];
-
-    let practicalScore = 0;
-    let theoreticalScore = 0;
+    const scored = scoreQuestionnaire(def, answers);
+    if (scored.errors) {
+      return res.status(400).json({ error: "Invalid answers", details: scored.errors });
+    }
 
-    answers.forEach((answerIndex, questionIndex) => {
-      if (typeof answerIndex === "number" && answerIndex >= 0 && answerIndex < 4) {
-        if (answerScores[questionIndex][answerIndex] >= 2) {
-          practicalScore++;
-        } else {
-          theoreticalScore++;
-        }
-      }
+    const { vector, dominant, style: learningStyle, preferences } = scored;
+
+    // Signed-in users keep one profile; anonymous learners get a new one
+    // unless they send back the styleId of their earlier profile
+    const userId = currentUserId(req);
+    const styleId = profileIdFor(req, knownStyleId) || newAnonymousProfileId();
+
+    saveProfile(styleId, {
+      userId,
+      learningStyle: {
+        style: learningStyle,
+        vector,
+        dominant,
+        questionnaire: { id: def.id, version: def.version },
+        assessedAt: new Date().toISOString()
+      },
+      preferences
     });
 
-    // Determine learning style preference (internal, NOT shown to user)
-    let learningStyle = "Balanced";
-    if (practicalScore > theoreticalScore + 1) {
-      learningStyle = "Hands-On Learner";
-    } else if (theoreticalScore > practicalScore + 1) {
-      learningStyle = "Theory-First Learner";
-    }
-
-    // Store internally (optional: could store in memory for future use)
-    const styleId = `style_${Date.now()}`;
+    attachToAttempt(req, attemptId, { learningStyle });
 
     console.log(`✅ Learning style evaluated for topic ${topic}:`, {
       styleId,
       learningStyle,
-      practicalScore,
-      theoreticalScore
+      vector
     });
 
     // Return ONLY success status - NO score or style info to frontend
@@ -269,8 +485,9 @@ app.post("/evaluate-learning-style", (req, res) => {
       styleId: styleId,
       _internal: {
         learningStyle,
-        practicalScore,
-        theoreticalScore,
+        vector,
+        dominant,
+        questionnaire: `${def.id}@${def.version}`,
         topic
       }
     });
@@ -284,123 +501,338 @@ app.post("/evaluate-learning-style", (req, res) => {
 // ===============================
 // GENERATE PERSONALIZED CONTENT
 // ===============================
-// Generates content recommendations based on learning style + topic
+// Generates a lesson (outline, explanations, worked examples, practice tasks)
+// for the learner, plus follow-up resources from the stored learner profile:
+// the learning style sets the balance and order, the assessed level for the
+// topic the depth and tone. With an attemptId or quizId the lesson is
+// grounded in the document that quiz was generated from. Without a profile
+// the balanced default is used.
 app.post("/generate-personalized-content", async (req, res) => {
   try {
-    const { topic, styleId } = req.body;
+    const { topic, styleId, level: requestedLevel, attemptId, quizId } = req.body;
 
     if (!topic || !topic.trim()) {
       return res.status(400).json({ error: "topic required" });
     }
 
-    // Generate personalized learning content recommendations
-    const contentRecommendations = {
-      topic: topic,
-      resources: [
-        {
-          type: "Article",
-          title: `Understanding ${topic}: Core Concepts`,
-          description: "A comprehensive guide to foundational concepts",
-          duration: "10-15 mins read"
-        },
-        {
-          type: "Tutorial",
-          title: `${topic} Step-by-Step Guide`,
-          description: "Hands-on tutorial with code examples",
-          duration: "30-45 mins"
-        },
-        {
-          type: "Practice",
-          title: `Interactive ${topic} Exercises`,
-          description: "Code along with interactive challenges",
-          duration: "45-60 mins"
-        },
-        {
-          type: "Project",
-          title: `Build a Real Project with ${topic}`,
-          description: "Practical project combining multiple concepts",
-          duration: "2-4 hours"
-        },
-        {
-          type: "Deep Dive",
-          title: `Advanced ${topic} Patterns`,
-          description: "Expert techniques and best practices",
-          duration: "1-2 hours"
-        }
-      ],
-      suggestedPath: [
-        "Start with the Article to understand basics",
-        "Follow the Step-by-Step Tutorial",
-        "Practice with Interactive Exercises",
-        "Build something with the Project",
-        "Explore Advanced Patterns for expertise"
-      ],
-      tips: [
-        `Take your time with ${topic} - it's a foundational skill`,
-        "Practice coding along with examples, don't just read",
-        "Try modifying example code to understand deeply",
-        "Build small projects to solidify your understanding"
-      ]
-    };
+    const profile = getProfile(profileIdFor(req, styleId));
+    const level = levelForTopic(profile, topic) || (LEVELS.includes(requestedLevel) ? requestedLevel : null);
+
+    const contentRecommendations = personalizeContent(topic.trim(), profile, level);
+
+    // The resource path never depends on the LLM: a failed lesson comes back
+    // as lesson: null with lessonError, next to the path
+    let lesson = null;
+    let lessonError = null;
+    try {
+      lesson = await generateLesson({
+        topic: topic.trim(),
+        level,
+        style: contentRecommendations.personalization.learningStyle || "Balanced",
+        sourceText: sourceTextFor(req, { attemptId, quizId })
+      });
+    } catch (lessonErr) {
+      console.error("❌ Lesson generation failed:", lessonErr.message);
+      const msg = lessonErr.message || String(lessonErr);
+
+      lessonError = msg.includes("Too Many Requests") || msg.toLowerCase().includes("quota")
+        ? { error: "rate_limit", message: "External AI quota exceeded. Try again later." }
+        : { error: "lesson_failed", message: "The lesson could not be generated this time." };
+    }
+
+    console.log(`✅ Personalized content for ${topic}:`, {
+      ...contentRecommendations.personalization,
+      grounded: lesson ? lesson.grounded : null
+    });
 
-    return res.json(contentRecommendations);
+    return res.json({ ...contentRecommendations, lesson, lessonError });
 
   } catch (err) {
     console.error("❌ /generate-personalized-content error:", err);
-    return res.status(500).json({ error: "Content generation failed", details: err.message });
+    const msg = err && err.message ? err.message : String(err);
+
+    if (msg.includes("Too Many Requests") || msg.toLowerCase().includes("quota")) {
+      return res.status(429).json({ error: "rate_limit", message: "External AI quota exceeded. Try again later." });
+    }
+
+    return res.status(500).json({ error: "Content generation failed", details: msg });
   }
 });
 
 // ===============================
 // GENERATE TOPICS BASED ON PERSONALIZED QUIZ
 // ===============================
+// Recommends what to study next from the learner's recent quiz attempts, the
+// document behind the latest one and the levels in their profile. Signed-in
+// users get their RECENT_ATTEMPTS newest attempts; attempts of anonymous
+// learners are not stored, so they only get recommendations from their
+// assessed levels (styleId). Each recommendation has a reason and a difficulty.
+const RECENT_ATTEMPTS = 5;
+
 app.post("/generate-topic", async (req, res) => {
   try {
-    const { lastAnswers, userProfile } = req.body;
+    const { styleId, count } = req.body || {};
+    const userId = currentUserId(req);
 
-    // Example: Generate topics based on learning style
-    const topics = ["React Hooks Deep Dive","Advanced MongoDB Indexing","Python Data Structures","Building Full-stack Apps","CI/CD Best Practices"];
+    const attempts = userId ? listAttemptsForUser(userId).slice(0, RECENT_ATTEMPTS) : [];
 
-    return res.json({ topics });
+    const latestQuiz = attempts.length > 0 ? getQuiz(attempts[0].quizId) : null;
+
+    const recommendations = await recommendTopics({
+      attempts,
+      documentText: getQuizSource(latestQuiz),
+      profile: getProfile(profileIdFor(req, styleId)),
+      count: Number.isInteger(count) && count > 0 ? Math.min(count, 10) : undefined
+    });
+
+    console.log(`✅ ${recommendations.length} topic recommendations from ${attempts.length} attempts`);
+
+    return res.json({ recommendations, topics: recommendations.map((r) => r.topic) });
 
   } catch (err) {
     console.error("❌ /generate-topic error:", err);
-    return res.status(500).json({ error: err.message });
+    const msg = err && err.message ? err.message : String(err);
+
+    if (msg.includes("Too Many Requests") || msg.toLowerCase().includes("quota")) {
+      return res.status(429).json({ error: "rate_limit", message: "External AI quota exceeded. Try again later." });
+    }
+
+    return res.status(500).json({ error: msg });
   }
 });
 
 // ===============================
 // EVALUATE QUIZ SCORE
 // ===============================
-app.post("/evaluate-quiz", (req, res) => {
+app.post("/evaluate-quiz", async (req, res) => {
   const { quizId, answers } = req.body;
-  const stored = answerStore[quizId];
+  const stored = getQuiz(quizId);
 
   if (!stored) {
     return res.status(404).json({ error: "Quiz not found" });
   }
-  let correct = 0;
-  stored.answers.forEach((ans, i) => {
-    if ((ans || "").toLowerCase() === (answers[i] || "").toLowerCase())  {
-      correct++;
-    }
-  });
 
+  const userId = currentUserId(req);
+  if (stored.owner && stored.owner !== userId) {
+    return res.status(403).json({ error: "Quiz belongs to another user" });
+  }
+
+  if (!Array.isArray(answers)) {
+    return res.status(400).json({ error: "answers array required" });
+  }
+
+  // Per-question breakdown so the learner can see what they missed and why
+  const review = await Promise.all(stored.answers.map(async (ans, i) => {
+    const question = stored.questions[i] || {};
+    const selected = answers[i] ?? "";
+    const correctAnswer = ans ?? "";
+    const graded = await gradeResponse(question, correctAnswer, selected);
+
+    return {
+      type: question.type || "mcq",
+      question: question.question || "",
+      options: Array.isArray(question.options) ? question.options : [],
+      selected,
+      correctAnswer,
+      isCorrect: graded.isCorrect,
+      feedback: graded.feedback,
+      explanation: question.explanation || "",
+      source: question.source || "",
+      grounded: Boolean(question.grounded),
+      skill: question.skill || null
+    };
+  }));
+
+  const correct = review.filter((item) => item.isCorrect).length;
   const total = stored.answers.length;
   const score = Math.round((correct / total) * 100);
 
+  // correct/total per tested skill, with strong and weak areas
+  const { skills, strengths, weaknesses } = scoreBySkill(review);
+
+  // Only signed-in learners have a history to keep; anonymous results are
+  // returned without being stored
+  const attempt = userId && createAttempt({
+    userId,
+    quizId,
+    questions: stored.questions,
+    answers,
+    correct,
+    wrong: total - correct,
+    score,
+    review,
+    skills
+  });
+
+  // Signed-in learners get every missed question in their review deck
+  const missed = review
+    .map((item, i) => (item.isCorrect ? null : { ...stored.questions[i], answer: stored.answers[i] }))
+    .filter(Boolean);
+  if (userId && missed.length > 0) {
+    addMissedQuestions(userId, missed, { quizId, attemptId: attempt.id });
+  }
+
   return res.json({
     success: true,
+    attemptId: attempt ? attempt.id : null,
     correct,
     wrong: total - correct,
-    score
+    score,
+    review,
+    skills,
+    strengths,
+    weaknesses,
+    addedToReview: userId ? missed.length : 0
+  });
+});
+
+// ===============================
+// ATTEMPT HISTORY
+// ===============================
+// Past quiz sessions of the signed-in user (summaries, newest first)
+app.get("/users/me/attempts", requireUser, (req, res) => {
+  const attempts = listAttemptsForUser(req.userId).map((attempt) => ({
+    id: attempt.id,
+    quizId: attempt.quizId,
+    correct: attempt.correct,
+    wrong: attempt.wrong,
+    score: attempt.score,
+    level: attempt.level,
+    learningStyle: attempt.learningStyle,
+    createdAt: attempt.createdAt
+  }));
+
+  return res.json({ attempts });
+});
+
+// Full attempt including questions and submitted answers
+app.get("/attempts/:id", requireUser, (req, res) => {
+  const attempt = getAttempt(req.params.id);
+
+  if (!attempt || attempt.userId !== req.userId) {
+    return res.status(404).json({ error: "Attempt not found" });
+  }
+
+  return res.json(attempt);
+});
+
+// ===============================
+// LEARNER PROFILE
+// ===============================
+// Learning style, assessed level per topic and preferences of the signed-in user
+app.get("/users/me/profile", requireUser, (req, res) => {
+  const profile = getProfile(req.userId);
+
+  return res.json(profile || { id: req.userId, userId: req.userId, learningStyle: null, levels: {}, preferences: {} });
+});
+
+// { preferences: { method, approach, documentation, goal, format } }, merged into the stored ones
+app.patch("/users/me/profile", requireUser, (req, res) => {
+  const { preferences, errors } = validatePreferences(req.body?.preferences);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid preferences", details: errors });
+  }
+
+  return res.json(saveProfile(req.userId, { userId: req.userId, preferences }));
+});
+
+// ===============================
+// REVIEW DECK (SPACED REPETITION)
+// ===============================
+// Questions the signed-in user got wrong, scheduled with SM-2. A review is
+// two calls: check the response (shows the answer), then rate the recall
+// quality 0-5, which sets when the card comes back.
+
+// What the client is shown before answering: no answer key
+const publicCard = (card) => ({
+  id: card.id,
+  question: {
+    type: card.question.type || "mcq",
+    question: card.question.question,
+    options: Array.isArray(card.question.options) ? card.question.options : [],
+    difficulty: card.question.difficulty || null,
+    skill: card.question.skill || null
+  },
+  repetitions: card.repetitions,
+  interval: card.interval,
+  dueAt: card.dueAt
+});
+
+const ownCard = (req) => {
+  const card = getCard(req.params.id);
+  return card && card.userId === req.userId ? card : null;
+};
+
+// The client's end of day can be at most this far ahead (UTC+14 just after midnight)
+const MAX_DAY_AHEAD_MS = 48 * 60 * 60 * 1000;
+
+// Cards due today, most overdue first. "Today" ends at ?until (an ISO timestamp,
+// the end of the learner's local day); without a usable one, cards are due
+// once dueAt has passed.
+app.get("/users/me/review", requireUser, (req, res) => {
+  const now = Date.now();
+  const until = Date.parse(req.query.until);
+  const endOfToday = new Date(until >= now && until <= now + MAX_DAY_AHEAD_MS ? until : now);
+
+  const due = listDueCards(req.userId, endOfToday);
+  const upcoming = listCardsForUser(req.userId)
+    .filter((card) => new Date(card.dueAt) > endOfToday)
+    .map((card) => card.dueAt)
+    .sort();
+
+  return res.json({
+    cards: due.map(publicCard),
+    due: due.length,
+    total: due.length + upcoming.length,
+    nextDueAt: upcoming[0] || null
+  });
+});
+
+// { response } → { isCorrect, feedback, correctAnswer, explanation, source }. Does not reschedule.
+app.post("/users/me/review/:id/check", requireUser, async (req, res) => {
+  const card = ownCard(req);
+  if (!card) return res.status(404).json({ error: "Card not found" });
+
+  const { isCorrect, feedback } = await gradeResponse(card.question, card.question.answer, req.body?.response ?? "");
+
+  return res.json({
+    isCorrect,
+    feedback,
+    correctAnswer: card.question.answer,
+    explanation: card.question.explanation || "",
+    source: card.question.source || ""
+  });
+});
+
+// { quality: 0-5 } → { card } with the next due date
+app.post("/users/me/review/:id", requireUser, (req, res) => {
+  const card = ownCard(req);
+  if (!card) return res.status(404).json({ error: "Card not found" });
+
+  const quality = Number(req.body?.quality);
+  if (!Number.isInteger(quality) || quality < MIN_QUALITY || quality > MAX_QUALITY) {
+    return res.status(400).json({ error: `quality must be an integer between ${MIN_QUALITY} and ${MAX_QUALITY}` });
+  }
+
+  const updated = recordReview(card.id, quality);
+
+  return res.json({
+    card: {
+      id: updated.id,
+      easiness: updated.easiness,
+      interval: updated.interval,
+      repetitions: updated.repetitions,
+      dueAt: updated.dueAt
+    }
   });
 });
 
 // ===============================
 // GENERATE LEVEL ASSESSMENT QUESTIONS
 // ===============================
-// Generates 5 questions to assess user's knowledge level (beginner/intermediate/advanced)
+// Generates 5 questions to assess user's knowledge level (beginner/intermediate/advanced).
+// The answer key stays on the server; the client gets { testId, questions }.
 app.post("/generate-level-test", async (req, res) => {
   try {
     const { topic } = req.body;
@@ -439,57 +871,31 @@ Return ONLY valid JSON array, no explanation:
 ]
 `;
 
-    const model = (await import("@google/generative-ai")).GoogleGenerativeAI
-      ? new (await import("@google/generative-ai")).GoogleGenerativeAI(process.env.GEMINI_API_KEY).getGenerativeModel({ model: "gemini-2.5-flash" })
-      : null;
-
-    if (!model) {
-      // Fallback: return mock questions if API unavailable
-      const mockQuestions = [
-        {
-          question: `What is the basic definition of ${topic}?`,
-          options: ["Option A", "Option B", "Option C", "Option D"],
-          answer: "Option A",
-          difficulty: "Beginner"
-        },
-        {
-          question: `How would you apply ${topic} in a real-world scenario?`,
-          options: ["Option A", "Option B", "Option C", "Option D"],
-          answer: "Option B",
-          difficulty: "Intermediate"
-        },
-        {
-          question: `What is an advanced technique in ${topic}?`,
-          options: ["Option A", "Option B", "Option C", "Option D"],
-          answer: "Option C",
-          difficulty: "Advanced"
-        },
-        {
-          question: `How does ${topic} relate to other concepts?`,
-          options: ["Option A", "Option B", "Option C", "Option D"],
-          answer: "Option A",
-          difficulty: "Intermediate"
-        },
-        {
-          question: `What are the edge cases in ${topic}?`,
-          options: ["Option A", "Option B", "Option C", "Option D"],
-          answer: "Option D",
-          difficulty: "Advanced"
-        }
-      ];
-      return res.json(mockQuestions);
-    }
-
-    const result = await model.generateContent({
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-      generationConfig: { responseMimeType: "application/json" }
+    const raw = await generateJSON({
+      prompt,
+      task: "level-test",
+      input: { topic }
     });
 
-    const rawText = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!rawText) throw new Error("Empty Gemini output");
+    // Normalized so answers are full option text, as grading expects
+    const { valid } = validateQuestions(Array.isArray(raw) ? raw.map((q) => ({ type: "mcq", ...q })) : []);
+    if (valid.length === 0) {
+      return res.status(500).json({ error: "Level test generation failed", details: "No valid questions generated" });
+    }
 
-    const questions = JSON.parse(rawText);
-    return res.json(questions);
+    const test = saveLevelTest({
+      topic,
+      questions: valid,
+      answers: valid.map((q) => q.answer),
+      owner: currentUserId(req)
+    });
+
+    console.log("✅ Level test stored:", test.id);
+
+    return res.json({
+      testId: test.id,
+      questions: valid.map(({ question, options, difficulty }) => ({ question, options, difficulty }))
+    });
 
   } catch (err) {
     console.error("❌ /generate-level-test error:", err);
@@ -500,26 +906,39 @@ Return ONLY valid JSON array, no explanation:
 // ===============================
 // EVALUATE LEVEL BASED ON ANSWERS
 // ===============================
-// Compares user answers against correct answers and determines level
-app.post("/evaluate-level", (req, res) => {
+// Grades a stored level test against its server-side answer key and
+// determines the level. Each test can be evaluated once.
+app.post("/evaluate-level", async (req, res) => {
   try {
-    const { answers, correctAnswers } = req.body;
+    const { testId, answers, attemptId, styleId } = req.body;
 
-    if (!Array.isArray(answers) || !Array.isArray(correctAnswers)) {
-      return res.status(400).json({ error: "answers and correctAnswers arrays required" });
+    if (!testId) {
+      return res.status(400).json({ error: "testId required" });
     }
 
-    if (answers.length !== correctAnswers.length) {
-      return res.status(400).json({ error: "answers and correctAnswers length mismatch" });
+    const test = getLevelTest(testId);
+    if (!test) {
+      return res.status(404).json({ error: "Level test not found or expired" });
+    }
+
+    if (test.owner && test.owner !== currentUserId(req)) {
+      return res.status(403).json({ error: "This level test belongs to another user" });
+    }
+
+    if (test.evaluatedAt) {
+      return res.status(409).json({ error: "Level test already evaluated", ...test.result });
+    }
+
+    if (!Array.isArray(answers) || answers.length !== test.questions.length) {
+      return res.status(400).json({ error: `answers must be an array of ${test.questions.length} items` });
     }
 
     // Count correct answers
     let correct = 0;
-    answers.forEach((ans, i) => {
-      if ((ans || "").toLowerCase().trim() === (correctAnswers[i] || "").toLowerCase().trim()) {
-        correct++;
-      }
-    });
+    for (const [i, ans] of answers.entries()) {
+      const { isCorrect } = await gradeResponse(test.questions[i], test.answers[i], ans);
+      if (isCorrect) correct++;
+    }
 
     const total = answers.length;
     const percentage = total > 0 ? Math.round((correct / total) * 100) : 0;
@@ -532,13 +951,17 @@ app.post("/evaluate-level", (req, res) => {
       level = "Intermediate";
     }
 
-    return res.json({
-      success: true,
-      correct,
-      total,
-      percentage,
-      level
-    });
+    attachToAttempt(req, attemptId, { level });
+
+    const result = { correct, total, percentage, level };
+    markLevelTestEvaluated(test.id, result);
+
+    const profileId = profileIdFor(req, styleId);
+    if (profileId && test.topic) {
+      setTopicLevel(profileId, { userId: currentUserId(req), topic: test.topic, level, source: "level-test" });
+    }
+
+    return res.json({ success: true, ...result });
 
   } catch (err) {
     console.error("❌ /evaluate-level error:", err);
@@ -546,11 +969,173 @@ app.post("/evaluate-level", (req, res) => {
   }
 });
 
+// ===============================
+// ADAPTIVE LEVEL ASSESSMENT
+// ===============================
+// POST /assessments               { topic, attemptId? } → first item
+// GET  /assessments/:id           session state
+// GET  /assessments/:id/next      current item, or the result when done
+// POST /assessments/:id/answers   { itemId, answer } → next item or result
+//
+// Each answer updates the ability estimate and picks the next item's
+// difficulty from it; the session ends once the level is known with enough
+// confidence (see adaptiveAssessment.js). Answers never leave the server.
+
+// What the client sees of an item: no answer
+const publicItem = (session, index) => {
+  const { question, options, difficulty } = session.items[index];
+  return { id: index, number: session.responses.length + 1, question, options, difficulty };
+};
+
+const assessmentResult = (session) => ({
+  ...session.estimate,
+  answered: session.responses.length,
+  correct: session.responses.filter((r) => r.correct).length
+});
+
+const progressOf = (session) => ({
+  answered: session.responses.length,
+  maxItems: Math.min(assessmentLimits().maxItems, session.items.length)
+});
+
+// The caller's own, unexpired session or null
+const findSession = (req) => {
+  const session = getSession(req.params.id);
+  return session && session.userId === currentUserId(req) ? session : null;
+};
+
+app.post("/assessments", async (req, res) => {
+  try {
+    const { topic, attemptId, styleId } = req.body;
+    if (!topic || !String(topic).trim()) {
+      return res.status(400).json({ error: "topic required" });
+    }
+
+    const items = await generateItemPool(String(topic).trim());
+    const created = createSession({
+      userId: currentUserId(req),
+      topic: String(topic).trim(),
+      items,
+      attemptId,
+      profileId: profileIdFor(req, styleId)
+    });
+
+    // No answers yet: start where the prior puts the learner (middle)
+    const session = updateSession(created.id, {
+      pendingItem: selectNextItem(items, [], 0),
+      estimate: estimateLevel([])
+    });
+
+    console.log("✅ Assessment started:", session.id, `(${items.length} items)`);
+
+    return res.status(201).json({
+      sessionId: session.id,
+      topic: session.topic,
+      status: session.status,
+      item: publicItem(session, session.pendingItem),
+      progress: progressOf(session)
+    });
+
+  } catch (err) {
+    console.error("❌ /assessments error:", err);
+    const msg = err && err.message ? err.message : String(err);
+
+    if (msg.includes("Too Many Requests") || msg.toLowerCase().includes("quota")) {
+      return res.status(429).json({ error: "rate_limit", message: "External AI quota exceeded. Try again later." });
+    }
+
+    return res.status(500).json({ error: "Assessment could not be started", details: msg });
+  }
+});
+
+app.get("/assessments/:id", (req, res) => {
+  const session = findSession(req);
+  if (!session) return res.status(404).json({ error: "Assessment not found" });
+
+  return res.json({
+    sessionId: session.id,
+    topic: session.topic,
+    status: session.status,
+    progress: progressOf(session),
+    item: session.status === "active" ? publicItem(session, session.pendingItem) : null,
+    result: session.status === "completed" ? assessmentResult(session) : null
+  });
+});
+
+app.get("/assessments/:id/next", (req, res) => {
+  const session = findSession(req);
+  if (!session) return res.status(404).json({ error: "Assessment not found" });
+
+  if (session.status === "completed") {
+    return res.json({ done: true, result: assessmentResult(session) });
+  }
+
+  return res.json({ done: false, item: publicItem(session, session.pendingItem), progress: progressOf(session) });
+});
+
+app.post("/assessments/:id/answers", async (req, res) => {
+  const session = findSession(req);
+  if (!session) return res.status(404).json({ error: "Assessment not found" });
+
+  if (session.status === "completed") {
+    return res.status(409).json({ error: "Assessment already completed", result: assessmentResult(session) });
+  }
+
+  const { itemId, answer } = req.body;
+  if (Number(itemId) !== session.pendingItem) {
+    return res.status(409).json({ error: "Answer the current question", item: publicItem(session, session.pendingItem) });
+  }
+  if (answer === undefined || answer === null || String(answer).trim() === "") {
+    return res.status(400).json({ error: "answer required" });
+  }
+
+  const item = session.items[session.pendingItem];
+  const { isCorrect } = await gradeResponse(item, item.answer, answer);
+
+  const responses = [
+    ...session.responses,
+    { item: session.pendingItem, difficulty: item.difficulty, answer, correct: isCorrect }
+  ];
+  const estimate = estimateLevel(responses);
+  const asked = responses.map((r) => r.item);
+
+  const next = selectNextItem(session.items, asked, estimate.ability);
+  const done = next === -1 || shouldStop(responses.length, session.items.length - asked.length, estimate);
+
+  const updated = updateSession(session.id, {
+    responses,
+    estimate,
+    pendingItem: done ? null : next,
+    status: done ? "completed" : "active",
+    ...(done ? { completedAt: new Date().toISOString() } : {})
+  });
+
+  if (done) {
+    attachToAttempt(req, session.attemptId, { level: estimate.level });
+    if (session.profileId) {
+      setTopicLevel(session.profileId, { userId: session.userId, topic: session.topic, level: estimate.level, source: "adaptive" });
+    }
+    console.log(`✅ Assessment ${session.id}: ${estimate.level} (${estimate.confidence})`);
+
+    return res.json({ correct: isCorrect, done: true, result: assessmentResult(updated) });
+  }
+
+  return res.json({
+    correct: isCorrect,
+    done: false,
+    estimate: { level: estimate.level, confidence: estimate.confidence },
+    item: publicItem(updated, next),
+    progress: progressOf(updated)
+  });
+});
+
 const PORT = 5000;
 app.listen(PORT, () => {
   console.log("✅ Backend running on http://localhost:" + PORT);
   console.log("Available routes:");
   console.log(" - POST /read-pdf");
+  console.log(" - POST /skill-profile");
+  console.log(" - POST /upload-pdf");
   console.log(" - POST /generate");
   console.log(" - POST /generate-from-pdf");
   console.log(" - POST /generate-learning-questions");
@@ -559,5 +1144,16 @@ app.listen(PORT, () => {
   console.log(" - POST /generate-topic");
   console.log(" - POST /generate-level-test");
   console.log(" - POST /evaluate-level");
+  console.log(" - POST /assessments");
+  console.log(" - GET  /assessments/:id");
+  console.log(" - GET  /assessments/:id/next");
+  console.log(" - POST /assessments/:id/answers");
   console.log(" - POST /evaluate-quiz");
+  console.log(" - GET  /users/me/attempts");
+  console.log(" - GET  /attempts/:id");
+  console.log(" - GET  /users/me/profile");
+  console.log(" - PATCH /users/me/profile");
+  console.log(" - GET  /users/me/review");
+  console.log(" - POST /users/me/review/:id/check");
+  console.log(" - POST /users/me/review/:id");
 });
@@ -0,0 +1,153 @@
+import { generateJSON } from "../pdf/llm/index.js";
+import { chunkText } from "../pdf/chunker.js";
+import { sourceAppearsIn } from "../pdf/questionGenerator.js";
+
+// ===============================
+// GENERATED LESSONS
+// ===============================
+// A short lesson on a topic, written by the LLM for one learner:
+//
+//   { title, overview, outline: [...],
+//     explanations: [{ heading, body, source }],
+//     examples: [{ title, problem, steps: [...], solution }],
+//     practice: [{ task, hint, difficulty }],
+//     grounded }
+//
+// The assessed level sets depth and vocabulary, the learning style the
+// balance between explanation and practice. When the learner has uploaded a
+// document, the passages most related to the topic are put in the prompt and
+// the lesson must stay within them; `source` quotes that cannot be found in
+// the document are dropped.
+
+// Document text sent along with the prompt
+const MAX_EXCERPT_CHARS = 8000;
+
+const STYLE_GUIDANCE = {
+  "Hands-On Learner": "Lead with doing: keep explanations brief, give 2 worked examples and 4 practice tasks.",
+  "Theory-First Learner": "Build the mental model first: give thorough explanations, 1-2 worked examples and 2 practice tasks.",
+  Balanced: "Alternate explanation and application: 2 worked examples and 3 practice tasks."
+};
+
+const LEVEL_GUIDANCE = {
+  Beginner: "The learner is a beginner: define every term, use everyday analogies, avoid jargon.",
+  Intermediate: "The learner knows the basics: skip definitions, focus on applying concepts in realistic situations.",
+  Advanced: "The learner is advanced: be concise and technical, cover edge cases, trade-offs and internals."
+};
+
+const words = (value) => String(value || "").toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+
+// Passages of the document that mention the topic most, kept in document order
+function groundingExcerpt(text, topic) {
+  const source = String(text || "");
+  if (source.length <= MAX_EXCERPT_CHARS) return source.trim();
+
+  const topicWords = new Set(words(topic));
+  const chunks = chunkText(source, { chunkSize: 1500 }).map((chunk) => ({
+    ...chunk,
+    score: words(chunk.text).filter((w) => topicWords.has(w)).length
+  }));
+
+  const picked = [];
+  let length = 0;
+
+  for (const chunk of [...chunks].sort((a, b) => b.score - a.score || a.index - b.index)) {
+    if (length + chunk.text.length > MAX_EXCERPT_CHARS) continue;
+    picked.push(chunk);
+    length += chunk.text.length;
+  }
+
+  return picked
+    .sort((a, b) => a.index - b.index)
+    .map((chunk) => chunk.text.trim())
+    .join("\n\n[...]\n\n");
+}
+
+const asText = (value) => (typeof value === "string" ? value.trim() : "");
+
+const asList = (value) => (Array.isArray(value) ? value.map(asText).filter(Boolean) : []);
+
+// Coerces the model output into the lesson shape; throws when nothing usable is left
+function normalizeLesson(raw, excerpt) {
+  const lesson = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+
+  const explanations = (Array.isArray(lesson.explanations) ? lesson.explanations : [])
+    .map((item) => {
+      const source = asText(item?.source);
+      return {
+        heading: asText(item?.heading),
+        body: asText(item?.body),
+        source: excerpt && sourceAppearsIn(source, excerpt) ? source : null
+      };
+    })
+    .filter((item) => item.body);
+
+  const examples = (Array.isArray(lesson.examples) ? lesson.examples : [])
+    .map((item) => ({
+      title: asText(item?.title),
+      problem: asText(item?.problem),
+      steps: asList(item?.steps),
+      solution: asText(item?.solution)
+    }))
+    .filter((item) => item.problem && (item.steps.length > 0 || item.solution));
+
+  const practice = (Array.isArray(lesson.practice) ? lesson.practice : [])
+    .map((item) => ({
+      task: asText(item?.task),
+      hint: asText(item?.hint) || null,
+      difficulty: ["Beginner", "Intermediate", "Advanced"].includes(item?.difficulty) ? item.difficulty : null
+    }))
+    .filter((item) => item.task);
+
+  if (explanations.length === 0) {
+    throw new Error("Generated lesson has no explanations");
+  }
+
+  return {
+    title: asText(lesson.title),
+    overview: asText(lesson.overview),
+    outline: asList(lesson.outline),
+    explanations,
+    examples,
+    practice,
+    grounded: Boolean(excerpt)
+  };
+}
+
+// { topic, level, style, sourceText } → normalized lesson
+export async function generateLesson({ topic, level = null, style = "Balanced", sourceText = null }) {
+  const excerpt = sourceText ? groundingExcerpt(sourceText, topic) : "";
+
+  const prompt = `
+You are an expert instructor writing a short personalized lesson.
+
+Topic: ${topic}
+${level ? LEVEL_GUIDANCE[level] : "The learner's level is unknown: start from the basics and build up quickly."}
+${STYLE_GUIDANCE[style] || STYLE_GUIDANCE.Balanced}
+${excerpt ? `
+Base the lesson ONLY on the document excerpt below. Do not add facts that are
+not in it. For each explanation, quote the sentence it is based on in "source",
+copied exactly from the excerpt.
+
+DOCUMENT EXCERPT:
+${excerpt}
+` : ""}
+Return ONLY valid JSON, no explanation:
+
+{
+  "title": "...",
+  "overview": "2-3 sentences on what the learner will get out of this lesson",
+  "outline": ["section 1", "section 2", "..."],
+  "explanations": [{ "heading": "...", "body": "...", "source": "${excerpt ? "exact quote from the excerpt" : ""}" }],
+  "examples": [{ "title": "...", "problem": "...", "steps": ["...", "..."], "solution": "..." }],
+  "practice": [{ "task": "...", "hint": "...", "difficulty": "Beginner" }]
+}
+`;
+
+  const raw = await generateJSON({
+    prompt,
+    task: "lesson",
+    input: { topic, level, style, excerpt }
+  });
+
+  return normalizeLesson(raw, excerpt);
+}
@@ -0,0 +1,52 @@
+import { randomBytes } from "crypto";
+import { createCollection } from "./store.js";
+
+// Level tests expire after LEVEL_TEST_TTL_HOURS (default: 1 day)
+const LEVEL_TEST_TTL_MS = Number(process.env.LEVEL_TEST_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+const levelTests = createCollection("level-tests");
+
+const isExpired = (test) => test.expiresAt && new Date(test.expiresAt).getTime() <= Date.now();
+
+// Stores a generated level test with its answer key and returns the saved record
+export function saveLevelTest({ topic, questions, answers, owner = null }) {
+  const id = `level_${Date.now()}_${randomBytes(3).toString("hex")}`;
+  const now = Date.now();
+
+  return levelTests.set(id, {
+    id,
+    topic,
+    questions,
+    answers,
+    owner,
+    evaluatedAt: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + LEVEL_TEST_TTL_MS).toISOString()
+  });
+}
+
+// Returns the level test, or null when it does not exist or has expired
+export function getLevelTest(id) {
+  const test = levelTests.get(id);
+  if (!test) return null;
+
+  if (isExpired(test)) {
+    levelTests.delete(id);
+    return null;
+  }
+
+  return test;
+}
+
+// A level test is graded once; later submissions are refused
+export function markLevelTestEvaluated(id, result) {
+  const test = levelTests.get(id);
+  if (!test) return null;
+
+  return levelTests.set(id, { ...test, evaluatedAt: new Date().toISOString(), result });
+}
+
+// Deletes every expired level test and returns how many were removed
+export function purgeExpiredLevelTests() {
+  return levelTests.deleteWhere(isExpired);
+}
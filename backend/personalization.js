@@ -0,0 +1,254 @@
+// ===============================
+// PERSONALIZED LEARNING CONTENT
+// ===============================
+// Builds the learning path for a topic from the learner's stored profile:
+//
+//   learning style   which resources are picked (practice-heavy for hands-on
+//                    learners, reading-heavy for theory-first learners) and
+//                    in which order they are taken
+//   topic level      which resources fit at all (no deep dives for
+//                    beginners, no primers for advanced learners)
+//   preferences      boosts for videos, documentation, short lessons,
+//                    projects, ... from the learning style questionnaire
+//
+// The tone of the path steps and tips follows the level: encouraging for
+// beginners, direct for advanced learners.
+
+export const LEARNING_STYLES = ["Hands-On Learner", "Theory-First Learner", "Balanced"];
+
+// Preferences a learner can have; questionnaire options may only set these
+export const PREFERENCE_VALUES = {
+  method: ["reading", "video", "practice"],
+  approach: ["guided", "theory", "practice"],
+  documentation: ["comfortable", "somewhat", "avoid"],
+  goal: ["depth", "speed", "project"],
+  format: ["short", "long", "interactive"]
+};
+
+// Unknown names and values are dropped; returns { preferences, errors }
+export function validatePreferences(input) {
+  const preferences = {};
+  const errors = [];
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { preferences, errors: ["preferences must be an object"] };
+  }
+
+  for (const [name, value] of Object.entries(input)) {
+    if (!PREFERENCE_VALUES[name]) {
+      errors.push(`Unknown preference "${name}"`);
+    } else if (!PREFERENCE_VALUES[name].includes(value)) {
+      errors.push(`${name} must be one of: ${PREFERENCE_VALUES[name].join(", ")}`);
+    } else {
+      preferences[name] = value;
+    }
+  }
+
+  return { preferences, errors };
+}
+
+// practice / theory: how much the resource suits each style.
+// stage: position in a theory-first sequence (concepts before practice).
+const CATALOG = [
+  {
+    type: "Primer",
+    stage: 0,
+    practice: 0,
+    theory: 2,
+    levels: ["Beginner", "Intermediate"],
+    title: (t) => `Understanding ${t}: Core Concepts`,
+    description: "A guided introduction to the foundational ideas",
+    duration: ["10-15 mins read", "30 mins read"]
+  },
+  {
+    type: "Video",
+    stage: 1,
+    practice: 1,
+    theory: 1,
+    levels: ["Beginner", "Intermediate", "Advanced"],
+    boost: { method: "video" },
+    title: (t) => `${t} Explained: Video Walkthrough`,
+    description: "Visual walkthrough of how the pieces fit together",
+    duration: ["10 mins", "45 mins"]
+  },
+  {
+    type: "Documentation",
+    stage: 1,
+    practice: 0,
+    theory: 2,
+    levels: ["Intermediate", "Advanced"],
+    boost: { documentation: "comfortable", method: "reading" },
+    title: (t) => `Guided Tour of the Official ${t} Documentation`,
+    description: "The reference sections worth knowing, and how to navigate the rest",
+    duration: ["20 mins read", "1 hour read"]
+  },
+  {
+    type: "Tutorial",
+    stage: 2,
+    practice: 2,
+    theory: 1,
+    levels: ["Beginner", "Intermediate"],
+    boost: { approach: "guided" },
+    title: (t) => `${t} Step-by-Step Guide`,
+    description: "Hands-on tutorial with worked examples",
+    duration: ["20 mins", "30-45 mins"]
+  },
+  {
+    type: "Practice",
+    stage: 3,
+    practice: 3,
+    theory: 0,
+    levels: ["Beginner", "Intermediate", "Advanced"],
+    boost: { approach: "practice", format: "interactive", method: "practice" },
+    title: (t) => `Interactive ${t} Exercises`,
+    description: "Short challenges with instant feedback",
+    duration: ["15 mins", "45-60 mins"]
+  },
+  {
+    type: "Cheat Sheet",
+    stage: 3,
+    practice: 1,
+    theory: 1,
+    levels: ["Beginner", "Intermediate", "Advanced"],
+    boost: { goal: "speed", format: "short" },
+    title: (t) => `${t} Quick Reference`,
+    description: "The essentials on one page, for review and lookup",
+    duration: ["5 mins", "5 mins"]
+  },
+  {
+    type: "Project",
+    stage: 4,
+    practice: 3,
+    theory: 1,
+    levels: ["Beginner", "Intermediate", "Advanced"],
+    boost: { goal: "project" },
+    title: (t, level) => (level === "Advanced" ? `Ship a Production-Grade ${t} Project` : `Build a Real Project with ${t}`),
+    description: "Practical project combining multiple concepts",
+    duration: ["1-2 hours", "2-4 hours"]
+  },
+  {
+    type: "Deep Dive",
+    stage: 5,
+    practice: 0,
+    theory: 3,
+    levels: ["Intermediate", "Advanced"],
+    boost: { goal: "depth", approach: "theory" },
+    title: (t, level) => (level === "Advanced" ? `${t} Internals and Trade-offs` : `Advanced ${t} Patterns`),
+    description: "Expert techniques, edge cases and best practices",
+    duration: ["30 mins", "1-2 hours"]
+  }
+];
+
+const RESOURCE_COUNT = 5;
+
+const STEP_TEXT = {
+  Primer: "read the core concepts primer",
+  Video: "watch the video walkthrough",
+  Documentation: "take the guided documentation tour",
+  Tutorial: "follow the step-by-step tutorial",
+  Practice: "work through the interactive exercises",
+  "Cheat Sheet": "keep the quick reference at hand",
+  Project: "build the project",
+  "Deep Dive": "study the deep dive"
+};
+
+function scoreResource(resource, style, preferences) {
+  const styleScore =
+    style === "Hands-On Learner" ? resource.practice * 2 + resource.theory * 0.5
+    : style === "Theory-First Learner" ? resource.theory * 2 + resource.practice * 0.5
+    : resource.practice + resource.theory;
+
+  const boosts = Object.entries(resource.boost || {}).filter(([name, value]) => preferences[name] === value).length;
+
+  return styleScore + boosts * 2;
+}
+
+// Theory-first learners go concepts → practice; hands-on learners start doing
+// right away and read up afterwards (a beginner still gets the primer first).
+function orderResources(resources, style, level) {
+  const byStage = [...resources].sort((a, b) => a.stage - b.stage);
+  if (style !== "Hands-On Learner") return byStage;
+
+  const doing = byStage.filter((r) => r.practice > r.theory);
+  const reading = byStage.filter((r) => r.practice <= r.theory);
+  const primer = level === "Beginner" ? reading.filter((r) => r.type === "Primer") : [];
+
+  return [...primer, ...doing, ...reading.filter((r) => !primer.includes(r))];
+}
+
+function pathSteps(resources, level) {
+  return resources.map((resource, i) => {
+    const step = STEP_TEXT[resource.type];
+
+    if (level === "Advanced") return `${step[0].toUpperCase()}${step.slice(1)}`;
+    if (i === 0) return level === "Beginner" ? `Start gently: ${step}` : `Start here: ${step}`;
+    return level === "Beginner" ? `When you feel ready, ${step}` : `Then ${step}`;
+  });
+}
+
+function tipsFor(topic, style, level, preferences) {
+  const tips = [];
+
+  if (level === "Beginner") {
+    tips.push(`Everyone starts somewhere - take your time with the ${topic} basics`);
+  } else if (level === "Advanced") {
+    tips.push(`Skip what you know; focus on the ${topic} edge cases and trade-offs`);
+  } else {
+    tips.push(`You have the ${topic} basics - now connect them in realistic situations`);
+  }
+
+  if (style === "Hands-On Learner") {
+    tips.push("Type the examples yourself and break them on purpose to see what happens");
+    tips.push("Come back to the reading once you have a question the code raised");
+  } else if (style === "Theory-First Learner") {
+    tips.push("Sketch the mental model before you write code");
+    tips.push("After each reading, try one small exercise to check your understanding");
+  } else {
+    tips.push("Alternate between reading a concept and trying it out right away");
+  }
+
+  if (preferences.format === "short") {
+    tips.push("Plan short daily sessions - consistency beats long marathons");
+  } else if (preferences.format === "long") {
+    tips.push("Block out longer sessions so you can go deep without interruptions");
+  }
+
+  if (preferences.goal === "project") {
+    tips.push("Pick your project idea early and relate every resource back to it");
+  }
+
+  return tips;
+}
+
+// profile: stored learner profile or null → { topic, resources, suggestedPath, tips, personalization }
+export function personalizeContent(topic, profile, level = null) {
+  const style = profile?.learningStyle?.style || "Balanced";
+  const preferences = profile?.preferences || {};
+  const durationIndex = preferences.format === "long" ? 1 : 0;
+
+  const chosen = CATALOG
+    .filter((resource) => !level || resource.levels.includes(level))
+    .map((resource, i) => ({ resource, i, score: scoreResource(resource, style, preferences) }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, RESOURCE_COUNT)
+    .map(({ resource }) => resource);
+
+  const ordered = orderResources(chosen, style, level);
+
+  return {
+    topic,
+    resources: ordered.map((resource) => ({
+      type: resource.type,
+      title: resource.title(topic, level),
+      description: resource.description,
+      duration: resource.duration[durationIndex]
+    })),
+    suggestedPath: pathSteps(ordered, level),
+    tips: tipsFor(topic, style, level, preferences),
+    personalization: {
+      learningStyle: profile?.learningStyle ? style : null,
+      level,
+      preferences
+    }
+  };
+}
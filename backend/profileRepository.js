@@ -0,0 +1,73 @@
+import { randomBytes } from "crypto";
+import { createCollection } from "./store.js";
+
+// One profile per learner: learning style, level per topic and preferences.
+// Signed-in users are keyed by their user id; anonymous learners get a
+// generated id (the styleId) and their profile expires after
+// ANONYMOUS_PROFILE_TTL_DAYS (default: 30 days) without updates.
+const ANONYMOUS_PROFILE_TTL_MS = Number(process.env.ANONYMOUS_PROFILE_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+const profiles = createCollection("profiles");
+
+const isExpired = (profile) => profile.expiresAt && new Date(profile.expiresAt).getTime() <= Date.now();
+
+// Topics are matched case- and whitespace-insensitively
+export const topicKey = (topic) => String(topic || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+export const newAnonymousProfileId = () => `style_${Date.now()}_${randomBytes(3).toString("hex")}`;
+
+// Returns the profile, or null when it does not exist or has expired
+export function getProfile(id) {
+  if (!id) return null;
+
+  const profile = profiles.get(id);
+  if (!profile) return null;
+
+  if (isExpired(profile)) {
+    profiles.delete(id);
+    return null;
+  }
+
+  return profile;
+}
+
+// Creates the profile on first use and merges `changes` into it
+export function saveProfile(id, { userId = null, ...changes }) {
+  const now = new Date().toISOString();
+  const existing = getProfile(id) || {
+    id,
+    userId,
+    learningStyle: null,
+    levels: {},
+    preferences: {},
+    createdAt: now
+  };
+
+  return profiles.set(id, {
+    ...existing,
+    ...changes,
+    preferences: { ...existing.preferences, ...changes.preferences },
+    levels: { ...existing.levels, ...changes.levels },
+    updatedAt: now,
+    expiresAt: existing.userId ? null : new Date(Date.now() + ANONYMOUS_PROFILE_TTL_MS).toISOString()
+  });
+}
+
+// Records the assessed level for one topic; source is "level-test" or "adaptive"
+export function setTopicLevel(id, { userId = null, topic, level, source }) {
+  return saveProfile(id, {
+    userId,
+    levels: {
+      [topicKey(topic)]: { topic: String(topic).trim(), level, source, assessedAt: new Date().toISOString() }
+    }
+  });
+}
+
+export function levelForTopic(profile, topic) {
+  return profile?.levels?.[topicKey(topic)]?.level || null;
+}
+
+// Deletes every expired anonymous profile and returns how many were removed
+export function purgeExpiredProfiles() {
+  return profiles.deleteWhere(isExpired);
+}
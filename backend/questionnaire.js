@@ -0,0 +1,197 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { LEARNING_STYLES, PREFERENCE_VALUES } from "./personalization.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ===============================
+// QUESTIONNAIRES
+// ===============================
+// Questionnaires are versioned JSON definitions in backend/questionnaires
+// (<id>.v<version>.json), so questions and scoring change without touching
+// route code. A definition holds:
+//
+//   dimensions       [{ id, label, description }]
+//   questions        [{ id, question, options: [{ text, weights, preferences }] }]
+//                    weights: { <dimension>: number }, negative allowed
+//                    preferences: learner preferences the option implies
+//   groups           { <name>: [dimension, ...] } → the strongest dimension
+//                    of each group is reported (e.g. modality)
+//   classification   { dimension, bands: [{ min?, max?, style }], default }
+//                    → the learning style used for personalization
+//
+// Scoring sums the chosen options' weights per dimension and scales the sum
+// to 0..1 between the lowest and highest total the questionnaire allows, so
+// every dimension is comparable however many questions feed it.
+//
+// Definitions are checked when the backend starts; a broken file stops it.
+
+const DEFINITIONS_DIR = path.join(__dirname, "questionnaires");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function definitionErrors(def) {
+  const errors = [];
+  const dimensions = Array.isArray(def.dimensions) ? def.dimensions.map((d) => d.id) : [];
+
+  if (!def.id || typeof def.id !== "string") errors.push("id must be a string");
+  if (!Number.isInteger(def.version) || def.version < 1) errors.push("version must be a positive integer");
+  if (dimensions.length === 0) errors.push("dimensions must list at least one dimension");
+  if (!Array.isArray(def.questions) || def.questions.length === 0) errors.push("questions must not be empty");
+
+  (def.questions || []).forEach((q, i) => {
+    if (!q.id || !q.question) errors.push(`questions[${i}] needs an id and a question`);
+    if (!Array.isArray(q.options) || q.options.length < 2) errors.push(`questions[${i}] needs at least 2 options`);
+
+    (q.options || []).forEach((option, j) => {
+      const where = `questions[${i}].options[${j}]`;
+      if (!option.text) errors.push(`${where} needs text`);
+
+      for (const [dimension, weight] of Object.entries(option.weights || {})) {
+        if (!dimensions.includes(dimension)) errors.push(`${where} weights unknown dimension "${dimension}"`);
+        if (typeof weight !== "number" || !Number.isFinite(weight)) errors.push(`${where} weight for "${dimension}" must be a number`);
+      }
+
+      for (const [name, value] of Object.entries(option.preferences || {})) {
+        if (!PREFERENCE_VALUES[name]?.includes(value)) errors.push(`${where} sets unknown preference ${name}="${value}"`);
+      }
+    });
+  });
+
+  for (const [group, members] of Object.entries(def.groups || {})) {
+    if (!Array.isArray(members) || members.some((m) => !dimensions.includes(m))) {
+      errors.push(`groups.${group} must list known dimensions`);
+    }
+  }
+
+  const { classification } = def;
+  if (classification) {
+    if (!dimensions.includes(classification.dimension)) errors.push("classification.dimension must be a known dimension");
+    const styles = [...(classification.bands || []).map((b) => b.style), classification.default];
+    if (styles.some((style) => !LEARNING_STYLES.includes(style))) {
+      errors.push(`classification styles must be one of: ${LEARNING_STYLES.join(", ")}`);
+    }
+  }
+
+  return errors;
+}
+
+// Reads and checks every definition; "<id>" → [definition, ...] sorted by version
+function loadDefinitions(dir) {
+  const byId = {};
+
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith(".json")).sort()) {
+    const def = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    const errors = definitionErrors(def);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid questionnaire ${file}: ${errors.join("; ")}`);
+    }
+
+    if ((byId[def.id] || []).some((other) => other.version === def.version)) {
+      throw new Error(`Questionnaire ${def.id} v${def.version} is defined twice`);
+    }
+
+    byId[def.id] = [...(byId[def.id] || []), def].sort((a, b) => a.version - b.version);
+  }
+
+  return byId;
+}
+
+const definitions = loadDefinitions(DEFINITIONS_DIR);
+
+// The requested version, or the latest one; null when unknown
+export function getQuestionnaire(id, version) {
+  const versions = definitions[id] || [];
+  if (version === undefined || version === null) return versions[versions.length - 1] || null;
+  return versions.find((def) => def.version === Number(version)) || null;
+}
+
+// What the client is shown: no weights
+export function publicQuestionnaire(def) {
+  return {
+    questionnaire: { id: def.id, version: def.version, title: def.title || def.id },
+    questions: def.questions.map((q) => ({
+      id: q.id,
+      question: q.question,
+      options: q.options.map((option) => option.text),
+      category: q.id
+    }))
+  };
+}
+
+// Lowest and highest weight sum each dimension can reach
+function dimensionRanges(def) {
+  return Object.fromEntries(
+    def.dimensions.map(({ id }) => {
+      let min = 0;
+      let max = 0;
+
+      for (const q of def.questions) {
+        const weights = q.options.map((option) => option.weights?.[id] || 0);
+        min += Math.min(...weights);
+        max += Math.max(...weights);
+      }
+
+      return [id, { min, max }];
+    })
+  );
+}
+
+function classify(classification, vector) {
+  if (!classification) return null;
+
+  const value = vector[classification.dimension];
+  const band = (classification.bands || []).find(
+    (b) => (b.min === undefined || value >= b.min) && (b.max === undefined || value <= b.max)
+  );
+
+  return band ? band.style : classification.default;
+}
+
+// answers: option index (or option text) per question, in question order.
+// Returns { errors } for unusable answers, otherwise
+// { vector, dominant, style, preferences, raw }.
+export function scoreQuestionnaire(def, answers) {
+  if (!Array.isArray(answers) || answers.length !== def.questions.length) {
+    return { errors: [`Expected ${def.questions.length} answers`] };
+  }
+
+  const errors = [];
+  const chosen = def.questions.map((q, i) => {
+    const answer = answers[i];
+    const index = typeof answer === "number" ? answer : q.options.findIndex((option) => option.text === answer);
+    const option = q.options[index];
+
+    if (!option) errors.push(`Answer ${i + 1} does not match an option of "${q.id}"`);
+    return option;
+  });
+
+  if (errors.length > 0) return { errors };
+
+  const raw = Object.fromEntries(def.dimensions.map(({ id }) => [id, 0]));
+  const preferences = {};
+
+  for (const option of chosen) {
+    for (const [dimension, weight] of Object.entries(option.weights || {})) raw[dimension] += weight;
+    Object.assign(preferences, option.preferences);
+  }
+
+  const ranges = dimensionRanges(def);
+  const vector = Object.fromEntries(
+    Object.entries(raw).map(([id, sum]) => {
+      const { min, max } = ranges[id];
+      return [id, max > min ? round2((sum - min) / (max - min)) : 0.5];
+    })
+  );
+
+  const dominant = Object.fromEntries(
+    Object.entries(def.groups || {}).map(([group, members]) => [
+      group,
+      members.reduce((best, id) => (vector[id] > vector[best] ? id : best), members[0])
+    ])
+  );
+
+  return { vector, dominant, style: classify(def.classification, vector), preferences, raw };
+}
@@ -0,0 +1,71 @@
+import { randomBytes } from "crypto";
+import { createCollection } from "./store.js";
+import { hashOf } from "../pdf/cache.js";
+
+// Quizzes expire after QUIZ_TTL_HOURS (default: 7 days)
+const QUIZ_TTL_MS = Number(process.env.QUIZ_TTL_HOURS || 24 * 7) * 60 * 60 * 1000;
+
+// Source text kept for grounding lessons; longer documents are cut
+const MAX_SOURCE_CHARS = 200000;
+
+const quizzes = createCollection("quizzes");
+
+// Document texts live apart from the quizzes, keyed by content hash, so quizzes
+// from the same document share one copy and the quiz file stays small
+const sources = createCollection("quiz-sources");
+
+const isExpired = (quiz) => quiz.expiresAt && new Date(quiz.expiresAt).getTime() <= Date.now();
+
+// Stores a generated quiz with its normalized answers (and the document it was
+// generated from, if any) and returns the saved record
+export function saveQuiz({ questions, answers, owner = null, sourceText = null }) {
+  const id = `quiz_${Date.now()}_${randomBytes(3).toString("hex")}`;
+  const now = Date.now();
+
+  let sourceHash = null;
+  if (sourceText) {
+    const text = sourceText.slice(0, MAX_SOURCE_CHARS);
+    sourceHash = hashOf(text);
+    if (!sources.get(sourceHash)) sources.set(sourceHash, { hash: sourceHash, text });
+  }
+
+  return quizzes.set(id, {
+    id,
+    questions,
+    answers,
+    owner,
+    sourceHash,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + QUIZ_TTL_MS).toISOString()
+  });
+}
+
+// Returns the quiz, or null when it does not exist or has expired
+export function getQuiz(id) {
+  const quiz = quizzes.get(id);
+  if (!quiz) return null;
+
+  if (isExpired(quiz)) {
+    quizzes.delete(id);
+    return null;
+  }
+
+  return quiz;
+}
+
+// Text of the document the quiz was generated from, or null
+export function getQuizSource(quiz) {
+  if (!quiz?.sourceHash) return null;
+  return sources.get(quiz.sourceHash)?.text || null;
+}
+
+// Deletes every expired quiz, then the document texts no quiz refers to any
+// more, and returns how many quizzes were removed
+export function purgeExpiredQuizzes() {
+  const removed = quizzes.deleteWhere(isExpired);
+
+  const inUse = new Set(quizzes.values().map((quiz) => quiz.sourceHash));
+  sources.deleteWhere((source) => !inUse.has(source.hash));
+
+  return removed;
+}
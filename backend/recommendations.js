@@ -0,0 +1,192 @@
+import { generateJSON } from "../pdf/llm/index.js";
+import { chunkText } from "../pdf/chunker.js";
+import { LEVELS } from "./adaptiveAssessment.js";
+import { topicKey } from "./profileRepository.js";
+
+// ===============================
+// TOPIC RECOMMENDATIONS
+// ===============================
+// Suggests what to study next from the learner's own data:
+//
+//   missed     topics of the questions they got wrong in recent quizzes
+//   document   skills the uploaded document covers that no quiz asked about
+//   level      topics with an assessed level, one step up
+//   mastered   topics answered fully correctly, one step up
+//
+// One LLM call labels each recent question with a short topic and lists the
+// skills the document covers; counting, ranking, reasons and difficulties
+// are computed here, so every reason states real numbers.
+
+const MAX_QUESTIONS = 60;
+const SKIM_CHARS = 6000;
+export const DEFAULT_RECOMMENDATION_COUNT = 5;
+
+const nextLevel = (level) => LEVELS[Math.min(LEVELS.indexOf(level) + 1, LEVELS.length - 1)];
+const previousLevel = (level) => LEVELS[Math.max(LEVELS.indexOf(level) - 1, 0)];
+
+// Start of every part of the document, so skills from all of it are seen
+function skim(text) {
+  const chunks = chunkText(text, { chunkSize: 3000 });
+  const perChunk = Math.max(200, Math.floor(SKIM_CHARS / Math.max(1, chunks.length)));
+  return chunks.map((chunk) => chunk.text.slice(0, perChunk).trim()).join("\n[...]\n");
+}
+
+// attempts: newest first. Returns [{ id, question, correct, difficulty }]
+function recentQuestions(attempts) {
+  return attempts
+    .flatMap((attempt) =>
+      (attempt.review || []).map((item, i) => ({
+        question: item.question,
+        correct: Boolean(item.isCorrect),
+        difficulty: attempt.questions?.[i]?.difficulty || null
+      }))
+    )
+    .filter((item) => item.question)
+    .slice(0, MAX_QUESTIONS)
+    .map((item, id) => ({ id, ...item }));
+}
+
+async function labelTopics(questions, documentText) {
+  const excerpt = documentText ? skim(documentText) : "";
+
+  const prompt = `
+You are an expert instructor analysing a learner's recent quiz questions.
+
+1. Give every question a short topic label (1-4 words, e.g. "Database indexing").
+   Questions about the same concept must get exactly the same label.
+2. ${excerpt ? "List up to 8 skills or concepts the document excerpt below teaches, as short labels in the same style." : "Return an empty documentSkills list."}
+
+QUESTIONS:
+${questions.map((q) => `${q.id}. ${q.question}`).join("\n")}
+${excerpt ? `
+DOCUMENT EXCERPT:
+${excerpt}
+` : ""}
+Return ONLY valid JSON, no explanation:
+
+{
+  "questionTopics": [{ "id": 0, "topic": "..." }],
+  "documentSkills": ["...", "..."]
+}
+`;
+
+  const raw = await generateJSON({
+    prompt,
+    task: "topic-recommendations",
+    input: { questions: questions.map(({ id, question }) => ({ id, question })), excerpt }
+  });
+
+  const topics = new Map(
+    (Array.isArray(raw?.questionTopics) ? raw.questionTopics : [])
+      .filter((item) => typeof item?.topic === "string" && item.topic.trim())
+      .map((item) => [Number(item.id), item.topic.trim()])
+  );
+
+  const documentSkills = (Array.isArray(raw?.documentSkills) ? raw.documentSkills : [])
+    .filter((skill) => typeof skill === "string" && skill.trim())
+    .map((skill) => skill.trim());
+
+  return { topics, documentSkills };
+}
+
+// Difficulty the learner should aim for on a topic with this track record
+function difficultyFor(stats, assessedLevel) {
+  const missRate = stats.missed / stats.total;
+  const base = assessedLevel || stats.difficulty || "Beginner";
+
+  if (missRate >= 0.5) return previousLevel(base);
+  if (missRate === 0) return nextLevel(base);
+  return base;
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// { attempts, documentText, profile, count } → [{ topic, reason, difficulty, source, evidence }]
+export async function recommendTopics({ attempts, documentText = null, profile = null, count = DEFAULT_RECOMMENDATION_COUNT }) {
+  const questions = recentQuestions(attempts);
+  const levels = profile?.levels || {};
+  const levelOf = (topic) => levels[topicKey(topic)]?.level || null;
+
+  const { topics, documentSkills } = questions.length > 0 || documentText
+    ? await labelTopics(questions, documentText)
+    : { topics: new Map(), documentSkills: [] };
+
+  // Per-topic counts over the labelled questions
+  const byTopic = new Map();
+  for (const q of questions) {
+    const topic = topics.get(q.id);
+    if (!topic) continue;
+
+    const key = topicKey(topic);
+    const stats = byTopic.get(key) || { topic, total: 0, missed: 0, difficulty: null };
+    stats.total++;
+    if (!q.correct) {
+      stats.missed++;
+      stats.difficulty = stats.difficulty || q.difficulty;
+    }
+    byTopic.set(key, stats);
+  }
+
+  const candidates = [];
+
+  for (const stats of byTopic.values()) {
+    if (stats.missed > 0) {
+      candidates.push({
+        topic: stats.topic,
+        reason: `Missed ${stats.missed} of ${plural(stats.total, "question")} on ${stats.topic} in your recent quizzes`,
+        difficulty: difficultyFor(stats, levelOf(stats.topic)),
+        source: "missed",
+        evidence: { missed: stats.missed, total: stats.total },
+        rank: 3 + stats.missed / stats.total + stats.missed * 0.1
+      });
+    } else if (stats.total >= 2) {
+      candidates.push({
+        topic: stats.topic,
+        reason: `Answered all ${stats.total} questions on ${stats.topic} correctly - ready for the next step`,
+        difficulty: difficultyFor(stats, levelOf(stats.topic)),
+        source: "mastered",
+        evidence: { missed: 0, total: stats.total },
+        rank: 0.5
+      });
+    }
+  }
+
+  for (const skill of documentSkills) {
+    if (byTopic.has(topicKey(skill))) continue;
+
+    candidates.push({
+      topic: skill,
+      reason: "Covered in your uploaded document but not in any of your quizzes yet",
+      difficulty: levelOf(skill) || "Beginner",
+      source: "document",
+      evidence: null,
+      rank: 2
+    });
+  }
+
+  for (const { topic, level, assessedAt } of Object.values(levels)) {
+    candidates.push({
+      topic,
+      reason: level === "Advanced"
+        ? `Assessed as Advanced in ${topic} - keep your edge with expert material`
+        : `Assessed as ${level} in ${topic} - next up: ${nextLevel(level)} material`,
+      difficulty: nextLevel(level),
+      source: "level",
+      evidence: { level, assessedAt },
+      rank: 1
+    });
+  }
+
+  // Best reason per topic, strongest evidence first
+  const seen = new Set();
+  return candidates
+    .sort((a, b) => b.rank - a.rank)
+    .filter((candidate) => {
+      const key = topicKey(candidate.topic);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, count)
+    .map(({ rank, ...recommendation }) => recommendation);
+}
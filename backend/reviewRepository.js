@@ -0,0 +1,77 @@
+import { createHash } from "crypto";
+import { createCollection } from "./store.js";
+import { newSchedule, reschedule } from "./spacedRepetition.js";
+
+// Review cards never expire; one card per user and question
+const cards = createCollection("review-cards");
+
+// The same question missed twice maps to the same card
+const cardIdFor = (userId, question) =>
+  `card_${createHash("sha256").update(`${userId}\u0000${question.question}`).digest("hex").slice(0, 16)}`;
+
+// Adds missed questions to the user's deck, due now. A question already in
+// the deck starts over (a lapse) but keeps its easiness.
+// Returns the saved cards.
+export function addMissedQuestions(userId, questions, { quizId = null, attemptId = null } = {}) {
+  const now = new Date();
+
+  return questions.map((question) => {
+    const id = cardIdFor(userId, question);
+    const existing = cards.get(id);
+
+    if (existing) {
+      return cards.set(id, {
+        ...existing,
+        ...newSchedule(now),
+        easiness: existing.easiness,
+        question,
+        lapses: existing.lapses + 1,
+        updatedAt: now.toISOString()
+      });
+    }
+
+    return cards.set(id, {
+      id,
+      userId,
+      question,
+      quizId,
+      attemptId,
+      ...newSchedule(now),
+      lapses: 0,
+      reviews: 0,
+      lastReviewedAt: null,
+      createdAt: now.toISOString()
+    });
+  });
+}
+
+export function getCard(id) {
+  return cards.get(id);
+}
+
+export function listCardsForUser(userId) {
+  return cards.values().filter((card) => card.userId === userId);
+}
+
+// Cards due by `until`, most overdue first
+export function listDueCards(userId, until) {
+  return listCardsForUser(userId)
+    .filter((card) => new Date(card.dueAt) <= until)
+    .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+}
+
+// Records one review rated `quality` (0-5) and returns the rescheduled card
+export function recordReview(id, quality) {
+  const card = cards.get(id);
+  if (!card) return null;
+
+  const now = new Date();
+
+  return cards.set(id, {
+    ...card,
+    ...reschedule(card, quality, now),
+    reviews: card.reviews + 1,
+    lastQuality: quality,
+    lastReviewedAt: now.toISOString()
+  });
+}
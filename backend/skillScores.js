@@ -0,0 +1,54 @@
+// ===============================
+// PER-SKILL SCORES
+// ===============================
+// Groups graded review items by the skill their question tests, so a quiz
+// reports strong and weak areas instead of one percentage.
+//
+//   strong      80% or more correct
+//   weak        below 50% correct
+//   developing  anything in between
+//
+// Skill names are compared case-insensitively; the first spelling is kept.
+// Questions without a skill (quizzes generated before tagging) are counted
+// under "General".
+
+export const STRONG_PERCENTAGE = 80;
+export const WEAK_PERCENTAGE = 50;
+
+const UNTAGGED = "General";
+
+const ratingFor = (percentage) =>
+  percentage >= STRONG_PERCENTAGE ? "strong" : percentage < WEAK_PERCENTAGE ? "weak" : "developing";
+
+// review: [{ skill, isCorrect }] → { skills, strengths, weaknesses }
+// skills: [{ skill, correct, total, percentage, rating }], best first.
+// Empty when no question carries a skill.
+export function scoreBySkill(review) {
+  if (!review.some((item) => item.skill)) {
+    return { skills: [], strengths: [], weaknesses: [] };
+  }
+
+  const bySkill = new Map();
+  for (const item of review) {
+    const name = item.skill || UNTAGGED;
+    const key = name.toLowerCase();
+    const stats = bySkill.get(key) || { skill: name, correct: 0, total: 0 };
+
+    stats.total++;
+    if (item.isCorrect) stats.correct++;
+    bySkill.set(key, stats);
+  }
+
+  const skills = [...bySkill.values()]
+    .map((stats) => {
+      const percentage = Math.round((stats.correct / stats.total) * 100);
+      return { ...stats, percentage, rating: ratingFor(percentage) };
+    })
+    .sort((a, b) => b.percentage - a.percentage || b.total - a.total || a.skill.localeCompare(b.skill));
+
+  return {
+    skills,
+    strengths: skills.filter((s) => s.rating === "strong").map((s) => s.skill),
+    weaknesses: skills.filter((s) => s.rating === "weak").map((s) => s.skill)
+  };
+}
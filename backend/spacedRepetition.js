@@ -0,0 +1,55 @@
+// ===============================
+// SPACED REPETITION (SM-2)
+// ===============================
+// Schedules review cards with the SuperMemo-2 algorithm. After each review
+// the learner rates their recall from 0 (blackout) to 5 (perfect):
+//
+//   quality < 3   the card starts over: repetitions 0, due again tomorrow
+//   quality >= 3  interval 1 day, then 6 days, then interval × easiness
+//
+// Easiness starts at 2.5, moves with every rating and never drops below
+// 1.3, so cards that are often hard come back more often.
+
+export const MIN_QUALITY = 0;
+export const MAX_QUALITY = 5;
+export const INITIAL_EASINESS = 2.5;
+
+const MIN_EASINESS = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheduling fields of a card that has never been reviewed, due right away
+export function newSchedule(now = new Date()) {
+  return {
+    easiness: INITIAL_EASINESS,
+    interval: 0,
+    repetitions: 0,
+    dueAt: now.toISOString()
+  };
+}
+
+// card: { easiness, interval, repetitions } → the next schedule after a
+// review rated `quality`: { easiness, interval, repetitions, dueAt }
+export function reschedule(card, quality, now = new Date()) {
+  const easiness = Math.max(
+    MIN_EASINESS,
+    card.easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  let repetitions;
+  let interval;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions = card.repetitions + 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(card.interval * easiness);
+  }
+
+  return {
+    easiness: Math.round(easiness * 100) / 100,
+    interval,
+    repetitions,
+    dueAt: new Date(now.getTime() + interval * DAY_MS).toISOString()
+  };
+}
@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ===============================
+// EMBEDDED FILE DATABASE
+// ===============================
+// Each collection is a single JSON file under DATA_DIR (default: backend/data).
+// Records are kept in memory and the file is rewritten atomically on every change,
+// so data survives backend restarts without running a separate database server.
+export function createCollection(name) {
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, "data");
+  const file = path.join(dataDir, `${name}.json`);
+
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  let records = {};
+  if (fs.existsSync(file)) {
+    try {
+      records = JSON.parse(fs.readFileSync(file, "utf8")) || {};
+    } catch (err) {
+      console.error(`❌ Could not read collection ${name}, starting empty:`, err.message);
+      records = {};
+    }
+  }
+
+  const persist = () => {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(records));
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    get(id) {
+      return records[id] || null;
+    },
+
+    set(id, value) {
+      records[id] = value;
+      persist();
+      return value;
+    },
+
+    delete(id) {
+      if (!(id in records)) return false;
+      delete records[id];
+      persist();
+      return true;
+    },
+
+    values() {
+      return Object.values(records);
+    },
+
+    // Removes every record matching the predicate with a single write
+    deleteWhere(predicate) {
+      const ids = Object.keys(records).filter((id) => predicate(records[id]));
+      ids.forEach((id) => delete records[id]);
+      if (ids.length > 0) persist();
+      return ids.length;
+    }
+  };
+}
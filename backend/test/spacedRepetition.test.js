@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { newSchedule, reschedule, INITIAL_EASINESS } from "../spacedRepetition.js";
+
+const NOW = new Date("2026-01-01T12:00:00.000Z");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reviews the card once per rating, returning every schedule on the way
+const review = (card, qualities) =>
+  qualities.map((quality) => (card = { ...card, ...reschedule(card, quality, NOW) }));
+
+test("a new card is due right away with the initial easiness", () => {
+  assert.deepEqual(newSchedule(NOW), {
+    easiness: INITIAL_EASINESS,
+    interval: 0,
+    repetitions: 0,
+    dueAt: NOW.toISOString()
+  });
+});
+
+test("correct answers follow 1 day, 6 days, then interval × easiness", () => {
+  const steps = review(newSchedule(NOW), [4, 4, 4, 4]);
+
+  assert.deepEqual(steps.map((s) => s.interval), [1, 6, 15, 38]);
+  assert.deepEqual(steps.map((s) => s.repetitions), [1, 2, 3, 4]);
+  assert.deepEqual(steps.map((s) => s.easiness), [2.5, 2.5, 2.5, 2.5]);
+  assert.equal(steps[3].dueAt, new Date(NOW.getTime() + 38 * DAY_MS).toISOString());
+});
+
+test("easiness moves with the rating", () => {
+  assert.equal(reschedule(newSchedule(NOW), 5, NOW).easiness, 2.6);
+  assert.equal(reschedule(newSchedule(NOW), 3, NOW).easiness, 2.36);
+  assert.equal(reschedule(newSchedule(NOW), 0, NOW).easiness, 1.7);
+});
+
+test("easiness never drops below 1.3", () => {
+  const steps = review(newSchedule(NOW), [0, 0, 3, 3, 3]);
+
+  assert.ok(steps.every((s) => s.easiness >= 1.3));
+  assert.equal(steps.at(-1).easiness, 1.3);
+  assert.equal(steps.at(-1).interval, Math.round(6 * 1.3));
+});
+
+test("a rating below 3 starts the card over, due tomorrow", () => {
+  const [, , , lapse] = review(newSchedule(NOW), [5, 5, 5, 2]);
+
+  assert.equal(lapse.repetitions, 0);
+  assert.equal(lapse.interval, 1);
+  assert.equal(lapse.dueAt, new Date(NOW.getTime() + DAY_MS).toISOString());
+
+  const [relearn, again] = review(lapse, [4, 4]);
+  assert.equal(relearn.interval, 1);
+  assert.equal(again.interval, 6);
+});
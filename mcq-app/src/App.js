@@ -5,6 +5,7 @@ import HomePage from "./pages/HomePage";
 import QuizPage from "./pages/QuizPage";
 import ResultPage from "./pages/ResultPage";
 import LearningPage from "./pages/LearningPage";
+import ReviewPage from "./pages/ReviewPage";
 import "./App.css";
 
 function App() {
@@ -26,6 +27,7 @@ function App() {
               <Route path="/quiz" element={<QuizPage />} />
               <Route path="/result" element={<ResultPage />} />
               <Route path="/assessment" element={<LearningPage />} />
+              <Route path="/review" element={<ReviewPage />} />
             </Routes>
           </Layout>
         </SignedIn>
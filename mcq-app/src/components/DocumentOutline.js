@@ -0,0 +1,151 @@
+import { useState } from "react";
+
+// Selection over the structured document returned by extraction:
+// { mode: "sections" | "pages", selected: [index, ...] }
+export function fullSelection(doc, mode = "sections") {
+  const items = mode === "pages" ? doc.pages : doc.sections;
+  return { mode, selected: items.map((_, i) => i) };
+}
+
+const sectionText = (section) =>
+  [section.title, ...section.blocks.map((block) => (block.items ? block.items.map((item) => `• ${item}`).join("\n") : block.text))]
+    .filter(Boolean)
+    .join("\n\n");
+
+// Rows shown for the current mode: { title, detail, text }
+function outlineRows(doc, mode) {
+  if (mode === "pages") {
+    return doc.pages.map((page) => ({
+      title: `Page ${page.number}`,
+      detail: `${page.text.length.toLocaleString()} chars`,
+      text: page.text
+    }));
+  }
+
+  return doc.sections.map((section) => {
+    const text = sectionText(section);
+    const pages = section.pageStart === section.pageEnd ? `p. ${section.pageStart}` : `pp. ${section.pageStart}-${section.pageEnd}`;
+
+    return {
+      title: section.title || "(Untitled opening)",
+      detail: doc.pageCount > 1 ? `${pages} · ${text.length.toLocaleString()} chars` : `${text.length.toLocaleString()} chars`,
+      text,
+      level: section.level
+    };
+  });
+}
+
+// Text of the chosen pages or sections, in document order, paragraph breaks kept
+export function selectedText(doc, selection) {
+  const rows = outlineRows(doc, selection.mode);
+  return [...selection.selected]
+    .sort((a, b) => a - b)
+    .map((i) => rows[i]?.text)
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function DocumentOutline({ doc, selection, onChange }) {
+  const [previewing, setPreviewing] = useState(null);
+  const rows = outlineRows(doc, selection.mode);
+
+  const toggle = (index) =>
+    onChange({
+      ...selection,
+      selected: selection.selected.includes(index)
+        ? selection.selected.filter((i) => i !== index)
+        : [...selection.selected, index]
+    });
+
+  const switchMode = (mode) => {
+    setPreviewing(null);
+    onChange(fullSelection(doc, mode));
+  };
+
+  const tabStyle = (active) => ({
+    padding: "6px 12px",
+    border: "1px solid #2196F3",
+    backgroundColor: active ? "#2196F3" : "white",
+    color: active ? "white" : "#2196F3",
+    cursor: "pointer"
+  });
+
+  const linkStyle = {
+    background: "none",
+    border: "none",
+    color: "#2196F3",
+    cursor: "pointer",
+    padding: 0,
+    fontSize: "13px"
+  };
+
+  return (
+    <div
+      style={{
+        marginTop: "10px",
+        padding: "12px",
+        border: "1px solid #E0E0E0",
+        borderRadius: "4px"
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: "10px", marginBottom: "10px", flexWrap: "wrap" }}>
+        <h4 style={{ margin: 0 }}>📑 Choose what to be tested on</h4>
+
+        <div>
+          <button onClick={() => switchMode("sections")} style={{ ...tabStyle(selection.mode === "sections"), borderRadius: "4px 0 0 4px" }}>
+            Sections ({doc.sections.length})
+          </button>
+          <button onClick={() => switchMode("pages")} style={{ ...tabStyle(selection.mode === "pages"), borderRadius: "0 4px 4px 0" }}>
+            Pages ({doc.pages.length})
+          </button>
+        </div>
+
+        <button onClick={() => onChange(fullSelection(doc, selection.mode))} style={linkStyle}>
+          Select all
+        </button>
+        <button onClick={() => onChange({ ...selection, selected: [] })} style={linkStyle}>
+          Clear
+        </button>
+      </div>
+
+      <div style={{ maxHeight: "320px", overflowY: "auto" }}>
+        {rows.map((row, i) => (
+          <div key={`${selection.mode}-${i}`} style={{ borderBottom: "1px solid #F0F0F0", padding: "6px 0" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: "8px", paddingLeft: `${Math.max(0, (row.level || 1) - 1) * 16}px` }}>
+              <input
+                type="checkbox"
+                checked={selection.selected.includes(i)}
+                onChange={() => toggle(i)}
+              />
+              <span style={{ flex: 1, fontWeight: row.level === 1 ? "bold" : "normal" }}>{row.title}</span>
+              <span style={{ color: "#999", fontSize: "12px" }}>{row.detail}</span>
+              <button onClick={() => setPreviewing(previewing === i ? null : i)} style={linkStyle}>
+                {previewing === i ? "Hide" : "Preview"}
+              </button>
+            </div>
+
+            {previewing === i && (
+              <pre
+                style={{
+                  whiteSpace: "pre-wrap",
+                  fontFamily: "inherit",
+                  fontSize: "13px",
+                  color: "#444",
+                  backgroundColor: "#FAFAFA",
+                  padding: "8px",
+                  margin: "6px 0 0 24px",
+                  maxHeight: "200px",
+                  overflowY: "auto"
+                }}
+              >
+                {row.text || "(no text on this page)"}
+              </pre>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default DocumentOutline;
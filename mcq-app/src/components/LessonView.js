@@ -0,0 +1,113 @@
+import { useState } from "react";
+
+const lessonCardStyle = {
+  padding: "15px",
+  marginBottom: "10px",
+  border: "1px solid #E0E0E0",
+  borderRadius: "4px",
+  backgroundColor: "#FAFAFA"
+};
+
+// Generated lesson: outline, explanations, worked examples, practice tasks.
+// Without a lesson (generation failed) only the reason is shown.
+function LessonView({ lesson, error }) {
+  const [openHints, setOpenHints] = useState([]);
+
+  const toggleHint = (idx) =>
+    setOpenHints(openHints.includes(idx) ? openHints.filter((i) => i !== idx) : [...openHints, idx]);
+
+  if (!lesson) {
+    return error ? (
+      <p style={{ color: "#999", fontSize: "14px", marginBottom: "25px" }}>
+        🧑‍🏫 {error.message || "The lesson could not be generated."} Your learning path is below.
+      </p>
+    ) : null;
+  }
+
+  return (
+    <div style={{ marginBottom: "25px" }}>
+      <h3>🧑‍🏫 {lesson.title || "Your Lesson"}</h3>
+      {lesson.overview && <p style={{ color: "#333" }}>{lesson.overview}</p>}
+      {lesson.grounded && (
+        <p style={{ color: "#2E7D32", fontSize: "13px" }}>📄 Based on the document you uploaded</p>
+      )}
+
+      {lesson.outline?.length > 0 && (
+        <div style={{ marginBottom: "20px" }}>
+          <h4>Lesson Outline</h4>
+          <ol style={{ paddingLeft: "20px" }}>
+            {lesson.outline.map((item, idx) => (
+              <li key={idx} style={{ marginBottom: "4px" }}>{item}</li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      <div style={{ marginBottom: "20px" }}>
+        <h4>Explanations</h4>
+        {lesson.explanations.map((item, idx) => (
+          <div key={idx} style={lessonCardStyle}>
+            {item.heading && <p style={{ margin: "0 0 8px 0", fontWeight: "bold" }}>{item.heading}</p>}
+            <p style={{ margin: 0, whiteSpace: "pre-wrap" }}>{item.body}</p>
+            {item.source && (
+              <p style={{ margin: "8px 0 0 0", color: "#666", fontSize: "13px", fontStyle: "italic" }}>
+                “{item.source}”
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {lesson.examples?.length > 0 && (
+        <div style={{ marginBottom: "20px" }}>
+          <h4>Worked Examples</h4>
+          {lesson.examples.map((example, idx) => (
+            <div key={idx} style={lessonCardStyle}>
+              <p style={{ margin: "0 0 8px 0", fontWeight: "bold" }}>{example.title || `Example ${idx + 1}`}</p>
+              <p style={{ margin: "0 0 8px 0" }}>{example.problem}</p>
+              {example.steps.length > 0 && (
+                <ol style={{ margin: "0 0 8px 0", paddingLeft: "20px" }}>
+                  {example.steps.map((step, stepIdx) => (
+                    <li key={stepIdx} style={{ marginBottom: "4px" }}>{step}</li>
+                  ))}
+                </ol>
+              )}
+              {example.solution && (
+                <p style={{ margin: 0, color: "#2E7D32" }}>
+                  <strong>Solution:</strong> {example.solution}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {lesson.practice?.length > 0 && (
+        <div style={{ marginBottom: "20px" }}>
+          <h4>Practice Tasks</h4>
+          {lesson.practice.map((item, idx) => (
+            <div key={idx} style={lessonCardStyle}>
+              <p style={{ margin: 0 }}>
+                {idx + 1}. {item.task}
+                {item.difficulty && (
+                  <span style={{ marginLeft: "8px", color: "#999", fontSize: "12px" }}>({item.difficulty})</span>
+                )}
+              </p>
+              {item.hint && (
+                <button
+                  onClick={() => toggleHint(idx)}
+                  style={{ background: "none", border: "none", color: "#2196F3", cursor: "pointer", padding: 0, marginTop: "6px", fontSize: "13px" }}
+                >
+                  {openHints.includes(idx) ? "Hide hint" : "Show hint"}
+                </button>
+              )}
+              {openHints.includes(idx) && <p style={{ margin: "6px 0 0 0", color: "#666", fontSize: "14px" }}>💡 {item.hint}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LessonView;
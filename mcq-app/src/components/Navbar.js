@@ -27,7 +27,24 @@ function Navbar() {
         )}
         <h2 style={{ margin: 0 }}>MCQ Generator</h2>
       </div>
-      <UserButton />
+      <div style={{ display: "flex", alignItems: "center", gap: "15px" }}>
+        {location.pathname !== "/review" && (
+          <button
+            onClick={() => navigate("/review")}
+            style={{
+              backgroundColor: "transparent",
+              border: "none",
+              fontSize: "16px",
+              cursor: "pointer",
+              color: "#333"
+            }}
+            title="Questions due for review today"
+          >
+            🔁 Review
+          </button>
+        )}
+        <UserButton />
+      </div>
     </div>
   );
 }
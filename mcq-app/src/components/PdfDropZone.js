@@ -0,0 +1,51 @@
+import { useRef, useState } from "react";
+
+// Drag-and-drop area (or click to browse) for a single PDF file
+function PdfDropZone({ onFile, disabled }) {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const handleFiles = (files) => {
+    if (disabled || !files || files.length === 0) return;
+    onFile(files[0]);
+  };
+
+  return (
+    <div
+      onClick={() => !disabled && inputRef.current?.click()}
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!disabled) setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        handleFiles(e.dataTransfer.files);
+      }}
+      style={{
+        padding: "25px",
+        border: `2px dashed ${dragging ? "#2196F3" : "#BDBDBD"}`,
+        borderRadius: "8px",
+        backgroundColor: dragging ? "#E3F2FD" : "#FAFAFA",
+        textAlign: "center",
+        color: "#666",
+        cursor: disabled ? "not-allowed" : "pointer"
+      }}
+    >
+      📂 Drag & drop a PDF here, or click to choose a file
+      <input
+        ref={inputRef}
+        type="file"
+        accept="application/pdf,.pdf"
+        onChange={(e) => {
+          handleFiles(e.target.files);
+          e.target.value = "";
+        }}
+        style={{ display: "none" }}
+      />
+    </div>
+  );
+}
+
+export default PdfDropZone;
@@ -0,0 +1,143 @@
+const LEVELS = ["beginner", "intermediate", "advanced"];
+
+const QUESTION_TYPES = [
+  { value: "mcq", label: "Multiple choice" },
+  { value: "multi_select", label: "Multi-select" },
+  { value: "true_false", label: "True / False" },
+  { value: "fill_blank", label: "Fill in the blank" },
+  { value: "short_answer", label: "Short answer" }
+];
+
+export const DEFAULT_QUIZ_SETTINGS = {
+  count: 5,
+  difficultyMode: "auto", // "auto", "beginner", "intermediate", "advanced", "custom"
+  mix: { beginner: 2, intermediate: 2, advanced: 1 },
+  topics: "",
+  types: ["mcq"]
+};
+
+// Converts the panel state into the `options` payload accepted by /generate
+export function toGenerationOptions(settings) {
+  const options = { count: Number(settings.count) };
+
+  if (settings.difficultyMode === "custom") {
+    options.difficulty = settings.mix;
+  } else if (settings.difficultyMode !== "auto") {
+    options.difficulty = settings.difficultyMode;
+  }
+
+  const topics = settings.topics.split(",").map((t) => t.trim()).filter(Boolean);
+  if (topics.length > 0) options.topics = topics;
+
+  if (settings.types.length > 0) options.types = settings.types;
+
+  return options;
+}
+
+function QuizSettings({ settings, onChange }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const toggleType = (type) =>
+    update({
+      types: settings.types.includes(type)
+        ? settings.types.filter((t) => t !== type)
+        : [...settings.types, type]
+    });
+
+  const mixTotal = LEVELS.reduce((acc, level) => acc + (Number(settings.mix[level]) || 0), 0);
+
+  return (
+    <div
+      style={{
+        marginTop: "15px",
+        padding: "12px",
+        border: "1px solid #E0E0E0",
+        borderRadius: "4px",
+        backgroundColor: "#FAFAFA"
+      }}
+    >
+      <h4 style={{ margin: "0 0 10px 0" }}>⚙️ Quiz Settings</h4>
+
+      <label style={{ display: "block", marginBottom: "10px" }}>
+        Number of questions:
+        <select
+          value={settings.count}
+          onChange={(e) => update({ count: Number(e.target.value) })}
+          style={{ marginLeft: "10px", padding: "4px" }}
+        >
+          {[5, 10, 15, 20].map((n) => (
+            <option key={n} value={n}>{n}</option>
+          ))}
+        </select>
+      </label>
+
+      <label style={{ display: "block", marginBottom: "10px" }}>
+        Difficulty:
+        <select
+          value={settings.difficultyMode}
+          onChange={(e) => update({ difficultyMode: e.target.value })}
+          style={{ marginLeft: "10px", padding: "4px" }}
+        >
+          <option value="auto">Mixed (automatic)</option>
+          <option value="beginner">Beginner only</option>
+          <option value="intermediate">Intermediate only</option>
+          <option value="advanced">Advanced only</option>
+          <option value="custom">Custom mix</option>
+        </select>
+      </label>
+
+      {settings.difficultyMode === "custom" && (
+        <div style={{ marginBottom: "10px" }}>
+          {LEVELS.map((level) => (
+            <label key={level} style={{ marginRight: "10px", textTransform: "capitalize" }}>
+              {level}
+              <input
+                type="number"
+                min="0"
+                max={settings.count}
+                value={settings.mix[level]}
+                onChange={(e) => update({ mix: { ...settings.mix, [level]: Number(e.target.value) } })}
+                style={{ width: "45px", marginLeft: "5px" }}
+              />
+            </label>
+          ))}
+          {mixTotal !== settings.count && (
+            <p style={{ color: "#E65100", fontSize: "13px", margin: "5px 0 0 0" }}>
+              Mix adds up to {mixTotal}, but {settings.count} questions are selected.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div style={{ marginBottom: "10px" }}>
+        Question types:
+        <div style={{ marginTop: "5px" }}>
+          {QUESTION_TYPES.map(({ value, label }) => (
+            <label key={value} style={{ display: "inline-block", marginRight: "12px", fontSize: "14px" }}>
+              <input
+                type="checkbox"
+                checked={settings.types.includes(value)}
+                onChange={() => toggleType(value)}
+                style={{ marginRight: "4px" }}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <label style={{ display: "block" }}>
+        Focus topics (optional, comma separated):
+        <input
+          type="text"
+          placeholder="e.g. indexing, React hooks"
+          value={settings.topics}
+          onChange={(e) => update({ topics: e.target.value })}
+          style={{ width: "100%", padding: "6px", marginTop: "5px", boxSizing: "border-box" }}
+        />
+      </label>
+    </div>
+  );
+}
+
+export default QuizSettings;
@@ -0,0 +1,76 @@
+const RATING_COLORS = {
+  strong: "#4CAF50",
+  developing: "#FF9800",
+  weak: "#F44336"
+};
+
+// Same bands as the backend: 80%+ strong, below 50% weak
+const ratingFor = (percentage) => (percentage >= 80 ? "strong" : percentage < 50 ? "weak" : "developing");
+
+// Client-side fallback when the server did not return per-skill scores
+export function skillsFromReview(reviewItems) {
+  if (!reviewItems.some((item) => item.skill)) return [];
+
+  const bySkill = {};
+  reviewItems.forEach((item) => {
+    const name = item.skill || "General";
+    const key = name.toLowerCase();
+    bySkill[key] = bySkill[key] || { skill: name, correct: 0, total: 0 };
+    bySkill[key].total++;
+    if (item.isCorrect) bySkill[key].correct++;
+  });
+
+  return Object.values(bySkill)
+    .map((s) => {
+      const percentage = Math.round((s.correct / s.total) * 100);
+      return { ...s, percentage, rating: ratingFor(percentage) };
+    })
+    .sort((a, b) => b.percentage - a.percentage || b.total - a.total);
+}
+
+// correct/total per skill with strong and weak areas called out
+function SkillBreakdown({ skills }) {
+  if (!skills || skills.length === 0) return null;
+
+  const strengths = skills.filter((s) => s.rating === "strong").map((s) => s.skill);
+  const weaknesses = skills.filter((s) => s.rating === "weak").map((s) => s.skill);
+
+  return (
+    <div style={{ marginTop: "20px", textAlign: "left" }}>
+      <h3>📊 Score by Skill</h3>
+
+      {skills.map((s) => (
+        <div key={s.skill} style={{ marginBottom: "10px" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", fontSize: "14px", marginBottom: "4px" }}>
+            <span style={{ fontWeight: "bold" }}>{s.skill}</span>
+            <span style={{ color: RATING_COLORS[s.rating] }}>
+              {s.correct} / {s.total} ({s.percentage}%)
+            </span>
+          </div>
+          <div style={{ height: "8px", backgroundColor: "#EEEEEE", borderRadius: "4px", overflow: "hidden" }}>
+            <div
+              style={{
+                width: `${s.percentage}%`,
+                height: "100%",
+                backgroundColor: RATING_COLORS[s.rating]
+              }}
+            />
+          </div>
+        </div>
+      ))}
+
+      {strengths.length > 0 && (
+        <p style={{ margin: "12px 0 4px 0", fontSize: "14px", color: "#2E7D32" }}>
+          💪 Strong areas: <strong>{strengths.join(", ")}</strong>
+        </p>
+      )}
+      {weaknesses.length > 0 && (
+        <p style={{ margin: "4px 0", fontSize: "14px", color: "#C62828" }}>
+          ⚠️ Needs work: <strong>{weaknesses.join(", ")}</strong>
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SkillBreakdown;
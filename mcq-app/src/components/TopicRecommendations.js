@@ -0,0 +1,119 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "@clerk/clerk-react";
+
+const DIFFICULTY_COLORS = {
+  Beginner: "#4CAF50",
+  Intermediate: "#FF9800",
+  Advanced: "#F44336"
+};
+
+// What to study next, based on recent quizzes, the document and assessed levels
+function TopicRecommendations({ attemptId }) {
+  const navigate = useNavigate();
+  const { getToken } = useAuth();
+
+  const [recommendations, setRecommendations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const token = await getToken();
+        const res = await fetch("http://localhost:5000/generate-topic", {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ attemptId, styleId: localStorage.getItem("styleId") })
+        });
+
+        if (!res.ok) {
+          throw new Error(`Server ${res.status}`);
+        }
+
+        const data = await res.json();
+        if (!cancelled) setRecommendations(Array.isArray(data.recommendations) ? data.recommendations : []);
+      } catch (err) {
+        console.error("Topic recommendations error:", err);
+        if (!cancelled) setError("Could not load recommendations");
+      }
+
+      if (!cancelled) setLoading(false);
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [attemptId, getToken]);
+
+  if (loading) {
+    return <p style={{ color: "#666", marginTop: "20px" }}>Finding what to study next...</p>;
+  }
+
+  if (error) {
+    return <p style={{ color: "#999", marginTop: "20px", fontSize: "14px" }}>{error}</p>;
+  }
+
+  if (recommendations.length === 0) return null;
+
+  return (
+    <div style={{ marginTop: "20px", textAlign: "left" }}>
+      <h3>🧭 Recommended Next Topics</h3>
+      {recommendations.map((item, idx) => (
+        <div
+          key={idx}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "12px",
+            padding: "12px",
+            marginBottom: "10px",
+            border: "1px solid #E0E0E0",
+            borderRadius: "4px",
+            backgroundColor: "#FAFAFA"
+          }}
+        >
+          <div style={{ flex: 1 }}>
+            <p style={{ margin: "0 0 4px 0", fontWeight: "bold" }}>
+              {item.topic}
+              <span
+                style={{
+                  marginLeft: "8px",
+                  padding: "2px 8px",
+                  borderRadius: "10px",
+                  fontSize: "12px",
+                  fontWeight: "normal",
+                  color: "white",
+                  backgroundColor: DIFFICULTY_COLORS[item.difficulty] || "#9E9E9E"
+                }}
+              >
+                {item.difficulty}
+              </span>
+            </p>
+            <p style={{ margin: 0, color: "#666", fontSize: "14px" }}>{item.reason}</p>
+          </div>
+
+          <button
+            onClick={() => navigate("/assessment", { state: { topic: item.topic, attemptId } })}
+            style={{
+              padding: "8px 14px",
+              backgroundColor: "#2196F3",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor: "pointer",
+              whiteSpace: "nowrap"
+            }}
+          >
+            Study this
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TopicRecommendations;
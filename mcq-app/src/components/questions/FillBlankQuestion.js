@@ -0,0 +1,14 @@
+// Single word or phrase typed into the blank
+function FillBlankQuestion({ value, onChange }) {
+  return (
+    <input
+      type="text"
+      placeholder="Type the missing word or phrase"
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value)}
+      style={{ width: "100%", padding: "10px", boxSizing: "border-box" }}
+    />
+  );
+}
+
+export default FillBlankQuestion;
@@ -0,0 +1,21 @@
+// Single answer: one radio button per option
+function McqQuestion({ question, value, onChange }) {
+  return (
+    <>
+      {question.options.map((opt, i) => (
+        <label key={i} className="option" style={{ display: "block", marginBottom: "10px" }}>
+          <input
+            type="radio"
+            name="option"
+            value={opt}
+            checked={value === opt}
+            onChange={(e) => onChange(e.target.value)}
+          />
+          <span style={{ marginLeft: "10px" }}>{opt}</span>
+        </label>
+      ))}
+    </>
+  );
+}
+
+export default McqQuestion;
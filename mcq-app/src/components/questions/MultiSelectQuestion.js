@@ -0,0 +1,27 @@
+// Several answers: checkboxes, value is an array of option texts
+function MultiSelectQuestion({ question, value, onChange }) {
+  const chosen = Array.isArray(value) ? value : [];
+
+  const toggle = (opt) => {
+    onChange(chosen.includes(opt) ? chosen.filter((o) => o !== opt) : [...chosen, opt]);
+  };
+
+  return (
+    <>
+      <p style={{ color: "#666", fontSize: "14px", marginTop: 0 }}>Select all that apply</p>
+      {question.options.map((opt, i) => (
+        <label key={i} className="option" style={{ display: "block", marginBottom: "10px" }}>
+          <input
+            type="checkbox"
+            value={opt}
+            checked={chosen.includes(opt)}
+            onChange={() => toggle(opt)}
+          />
+          <span style={{ marginLeft: "10px" }}>{opt}</span>
+        </label>
+      ))}
+    </>
+  );
+}
+
+export default MultiSelectQuestion;
@@ -0,0 +1,14 @@
+// Free-text answer, graded on the server
+function ShortAnswerQuestion({ value, onChange }) {
+  return (
+    <textarea
+      rows="4"
+      placeholder="Write your answer in a sentence or two"
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value)}
+      style={{ width: "100%", padding: "10px", boxSizing: "border-box" }}
+    />
+  );
+}
+
+export default ShortAnswerQuestion;
@@ -0,0 +1,34 @@
+// True / False as two side-by-side choices
+function TrueFalseQuestion({ value, onChange }) {
+  return (
+    <div style={{ display: "flex", gap: "10px" }}>
+      {["True", "False"].map((opt) => (
+        <label
+          key={opt}
+          className="option"
+          style={{
+            flex: 1,
+            textAlign: "center",
+            padding: "10px",
+            border: value === opt ? "2px solid #2196F3" : "1px solid #ddd",
+            borderRadius: "4px",
+            backgroundColor: value === opt ? "#E3F2FD" : "white",
+            cursor: "pointer"
+          }}
+        >
+          <input
+            type="radio"
+            name="option"
+            value={opt}
+            checked={value === opt}
+            onChange={(e) => onChange(e.target.value)}
+            style={{ marginRight: "8px" }}
+          />
+          {opt}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default TrueFalseQuestion;
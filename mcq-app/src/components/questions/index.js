@@ -0,0 +1,43 @@
+import McqQuestion from "./McqQuestion";
+import MultiSelectQuestion from "./MultiSelectQuestion";
+import TrueFalseQuestion from "./TrueFalseQuestion";
+import FillBlankQuestion from "./FillBlankQuestion";
+import ShortAnswerQuestion from "./ShortAnswerQuestion";
+
+const renderers = {
+  mcq: McqQuestion,
+  multi_select: MultiSelectQuestion,
+  true_false: TrueFalseQuestion,
+  fill_blank: FillBlankQuestion,
+  short_answer: ShortAnswerQuestion
+};
+
+// Empty response for a question: an array for multi-select, a string otherwise
+export const emptyResponse = (question) => (question?.type === "multi_select" ? [] : "");
+
+export const hasResponse = (value) =>
+  Array.isArray(value) ? value.length > 0 : typeof value === "string" && value.trim().length > 0;
+
+export const formatResponse = (value) => (Array.isArray(value) ? value.join(", ") : value || "");
+
+// Client-side fallback grading when the server cannot evaluate the quiz.
+// Free-text answers only get an exact (case-insensitive) comparison here.
+export function isResponseCorrect(question, value) {
+  const key = (v) => String(v ?? "").trim().toLowerCase();
+
+  if (question.type === "multi_select") {
+    const expected = (question.answer || []).map(key).sort().join("|");
+    const chosen = (Array.isArray(value) ? value : []).map(key).sort().join("|");
+    return expected === chosen;
+  }
+
+  const accepted = [question.answer, ...(question.acceptedAnswers || [])].map(key);
+  return accepted.includes(key(value));
+}
+
+function QuestionInput({ question, value, onChange }) {
+  const Renderer = renderers[question.type] || McqQuestion;
+  return <Renderer question={question} value={value} onChange={onChange} />;
+}
+
+export default QuestionInput;
@@ -1,132 +1,154 @@
 import { useState } from "react";
 import { useNavigate } from "react-router-dom";
+import { useAuth } from "@clerk/clerk-react";
+import QuizSettings, { DEFAULT_QUIZ_SETTINGS, toGenerationOptions } from "../components/QuizSettings";
+import PdfDropZone from "../components/PdfDropZone";
+import DocumentOutline, { fullSelection, selectedText } from "../components/DocumentOutline";
+
+const MAX_UPLOAD_MB = 20;
 
 function HomePage() {
   const navigate = useNavigate();
+  const { getToken } = useAuth();
 
   const [githubLink, setGithubLink] = useState("");
   const [extractedContent, setExtractedContent] = useState("");
+  const [outline, setOutline] = useState(null);
+  const [selection, setSelection] = useState(null);
   const [isExtracted, setIsExtracted] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [successMessage, setSuccessMessage] = useState("");
+  const [quizSettings, setQuizSettings] = useState(DEFAULT_QUIZ_SETTINGS);
+  const [freshQuestions, setFreshQuestions] = useState(false);
 
-  const parseQuestionsFromText = (text) => {
-    const questions = [];
-    if (!text || typeof text !== "string") return [];
-
-    const sections = text.split(/\*\*Multiple-Choice Questions\*\*|\*\*Multiple Choice Questions\*\*/i);
-    const mcqSection = sections.length > 1 ? sections[1] : text;
-
-    const questionBlocks = mcqSection.split(/\n(?=\d+\.)/);
-
-    for (const block of questionBlocks) {
-      const lines = block.trim().split("\n").filter(l => l.trim());
-      if (lines.length < 4) continue;
-
-      let questionText = lines[0].replace(/^\d+\.\s*/, "").trim();
-      questionText = questionText.replace(/http[s]?:\/\/\S+/g, "").trim();
+  const extractDocument = async () => {
+    setLoading(true);
+    setError("");
+    setSuccessMessage("");
 
-      const options = [];
-      let correctAnswer = null;
+    try {
+      if (!githubLink.trim()) {
+        setError("Please paste a document link");
+        setLoading(false);
+        return;
+      }
 
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        const optionMatch = line.match(/^([A-D])[.)]\s*(.+?)(?:\s*\*?Correct Answer:\*?.*)?$/i);
-        if (optionMatch) {
-          let optionText = optionMatch[2].trim();
-          optionText = optionText.replace(/\*?Correct Answer:\*?\s*[A-D]?\s*$/i, "").trim();
+      const res = await fetch("http://localhost:5000/read-pdf", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url: githubLink })
+      });
 
-          if (optionText && optionText.length > 0) {
-            options.push(optionText);
-          }
+      const data = await res.json();
 
-          if (line.match(/\*?Correct Answer:\*?\s*([A-D])/i)) {
-            const match = line.match(/\*?Correct Answer:\*?\s*([A-D])/i);
-            correctAnswer = match[1];
-          }
-        }
+      if (!data.text) {
+        // Link problems come back with the provider's own explanation
+        setError(data.provider ? data.error : "Failed to extract the document. Please check the link and try again.");
+        setLoading(false);
+        return;
       }
 
-      if (questionText && options.length >= 3) {
-        const finalOptions = options.slice(0, 4);
-        let answerIndex = 0;
-        if (correctAnswer) {
-          answerIndex = correctAnswer.charCodeAt(0) - 65;
-          if (answerIndex < 0 || answerIndex >= finalOptions.length) {
-            answerIndex = 0;
-          }
-        }
+      showExtracted(data);
+      setSuccessMessage("✅ Document extracted successfully!");
 
-        questions.push({
-          question: questionText,
-          options: finalOptions,
-          answer: finalOptions[answerIndex] || finalOptions[0]
-        });
-      }
+      setTimeout(() => setSuccessMessage(""), 3000);
+    } catch (err) {
+      console.error(err);
+      setError("Document extraction failed. Make sure the link points to a PDF, DOCX, Markdown, HTML or text file.");
     }
 
-    return questions;
+    setLoading(false);
   };
 
-  const extractDocument = async () => {
-    setLoading(true);
+  const uploadDocument = async (file) => {
     setError("");
     setSuccessMessage("");
 
+    if (file.type !== "application/pdf" && !/\.pdf$/i.test(file.name)) {
+      setError("Please choose a PDF file.");
+      return;
+    }
+
+    if (file.size > MAX_UPLOAD_MB * 1024 * 1024) {
+      setError(`PDF is too large. The limit is ${MAX_UPLOAD_MB} MB.`);
+      return;
+    }
+
+    setLoading(true);
+
     try {
-      if (!githubLink.trim()) {
-        setError("Please paste a GitHub PDF link");
-        setLoading(false);
-        return;
-      }
+      const formData = new FormData();
+      formData.append("file", file);
 
-      const res = await fetch("http://localhost:5000/read-pdf", {
+      const token = await getToken();
+      const res = await fetch("http://localhost:5000/upload-pdf", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ github_url: githubLink })
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData
       });
 
       const data = await res.json();
 
-      if (!data.text) {
-        setError("Failed to extract PDF. Please check the link and try again.");
+      if (!res.ok || !data.text) {
+        setError(data.error || "Failed to extract the uploaded PDF.");
         setLoading(false);
         return;
       }
 
-      setExtractedContent(data.text);
-      setIsExtracted(true);
-      setSuccessMessage("✅ PDF extracted successfully!");
+      showExtracted(data);
+      setSuccessMessage(`✅ ${file.name} extracted successfully!`);
 
       setTimeout(() => setSuccessMessage(""), 3000);
     } catch (err) {
       console.error(err);
-      setError("Document extraction failed. Make sure the PDF link is correct.");
+      setError("Upload failed. Make sure the backend is running.");
     }
 
     setLoading(false);
   };
 
+  // Pages and sections come with the extracted text; older responses only have text
+  const showExtracted = (data) => {
+    setExtractedContent(data.text);
+    setOutline(data.document || null);
+    setSelection(data.document ? fullSelection(data.document) : null);
+    setIsExtracted(true);
+  };
+
+  // Only the ticked pages or sections are sent for generation
+  const quizText = outline && selection ? selectedText(outline, selection) : extractedContent;
+
   const generateQuiz = async () => {
     setLoading(true);
     setError("");
     setSuccessMessage("");
+    if (outline && selection?.selected.length === 0) {
+      setError("Pick at least one section or page to be tested on.");
+      setLoading(false);
+      return;
+    }
+
     // Client-side guard: ensure there's enough extracted content
-    if (!extractedContent || extractedContent.trim().length < 200) {
-      setError("Document too short to generate questions. Provide a longer PDF or use a topic.");
+    if (!quizText || quizText.trim().length < 200) {
+      setError(outline
+        ? "The selected parts are too short to generate questions. Select more sections or pages."
+        : "Document too short to generate questions. Provide a longer PDF or use a topic.");
       setLoading(false);
       return;
     }
 
     try {
       const payload = {
-        docText: extractedContent.substring(0, 12000)
+        docText: quizText,
+        options: toGenerationOptions(quizSettings),
+        bypassCache: freshQuestions
       };
 
+      const token = await getToken();
       const res = await fetch("http://localhost:5000/generate", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
         body: JSON.stringify(payload)
       });
 
@@ -138,6 +160,10 @@ function HomePage() {
           const parsed = JSON.parse(bodyText);
           if (res.status === 429 || parsed?.error === "rate_limit") {
             setError("AI quota exceeded. Please try again later. See https://ai.dev/rate-limit for usage details.");
+          } else if (parsed?.error === "invalid_options") {
+            setError(`Invalid quiz settings: ${(parsed.details || []).join("; ")}`);
+          } else if (parsed?.error === "invalid_questions") {
+            setError("The AI returned no usable questions. Please try again.");
           } else {
             setError(`Server error: ${res.status} ${parsed?.error || ""}`);
           }
@@ -153,59 +179,24 @@ function HomePage() {
         return;
       }
 
+      // Questions arrive schema-validated and normalized by the server
       const data = await res.json();
-      let parsedQuestions = [];
 
-      if (Array.isArray(data)) {
-        parsedQuestions = data.map(q => ({
-          question: q.question,
-          options: Array.isArray(q.options) ? q.options : [q.options],
-          answer: q.answer || q.options[0]
-        }));
-      } else if (data.questions) {
-        let questionsText = typeof data.questions === 'object' ? data.questions.questions : data.questions;
-
-        try {
-          const jsonParsed = JSON.parse(questionsText);
-          if (Array.isArray(jsonParsed)) {
-            parsedQuestions = jsonParsed.map(q => ({
-              question: q.question,
-              options: Array.isArray(q.options) ? q.options : [q.options],
-              answer: q.answer || q.options[0]
-            }));
-          } else {
-            throw new Error("Not an array");
-          }
-        } catch (e) {
-          parsedQuestions = parseQuestionsFromText(questionsText);
-        }
-      }
-
-      if (parsedQuestions.length > 0) {
-        const normalized = parsedQuestions.map(q => {
-          let correct = q.answer;
-          if (typeof correct === "string" && /^[A-D]$/i.test(correct)) {
-            const idx = correct.toUpperCase().charCodeAt(0) - 65;
-            correct = q.options[idx];
-          }
-          if (typeof correct === "number") {
-            correct = q.options[correct];
-          }
-          return {
-            ...q,
-            answer: correct?.trim()
-          };
-        });
-
-        setSuccessMessage("✅ Questions generated successfully!");
+      if (Array.isArray(data.questions) && data.questions.length > 0) {
+        setSuccessMessage(data.cache === "hit" ? "✅ Loaded saved questions for this document" : "✅ Questions generated successfully!");
         setTimeout(() => setSuccessMessage(""), 3000);
 
         // Navigate to quiz page with questions
         navigate("/quiz", {
-          state: { questions: normalized, quizId: res.headers.get("X-Quiz-Id") }
+          state: {
+            questions: data.questions,
+            quizId: data.quizId || res.headers.get("X-Quiz-Id"),
+            requested: payload.options.count,
+            dropped: Array.isArray(data.dropped) ? data.dropped : []
+          }
         });
       } else {
-        setError("Could not parse questions. Please try again.");
+        setError("No questions were generated. Please try again.");
       }
     } catch (err) {
       console.error("💥 Error:", err);
@@ -219,11 +210,11 @@ function HomePage() {
   if (!isExtracted) {
     return (
       <div className="card">
-        <h3>📄 Upload & Extract PDF</h3>
+        <h3>📄 Upload & Extract a Document</h3>
 
         <input
           type="text"
-          placeholder="Paste GitHub PDF link"
+          placeholder="Paste a PDF, DOCX, Markdown, HTML or TXT link"
           value={githubLink}
           onChange={(e) => setGithubLink(e.target.value)}
           style={{ width: "100%", padding: "10px", marginBottom: "10px" }}
@@ -244,6 +235,10 @@ function HomePage() {
           {loading ? "Extracting..." : "Extract Document"}
         </button>
 
+        <p style={{ textAlign: "center", color: "#999", margin: "15px 0" }}>— or —</p>
+
+        <PdfDropZone onFile={uploadDocument} disabled={loading} />
+
         {error && <p style={{ color: "red", marginTop: "10px" }}>{error}</p>}
       </div>
     );
@@ -252,13 +247,35 @@ function HomePage() {
   // Extracted content preview
   return (
     <div className="card">
-      <h3>✅ PDF Content Extracted</h3>
-      <textarea
-        rows="6"
-        value={extractedContent.substring(0, 500) + "..."}
-        readOnly
-        style={{ width: "100%", padding: "10px" }}
-      />
+      <h3>✅ Document Content Extracted</h3>
+      <p style={{ color: "#666", fontSize: "14px", margin: "0 0 5px 0" }}>
+        {outline
+          ? `${quizText.length.toLocaleString()} of ${extractedContent.length.toLocaleString()} characters selected. Questions will cover the selected parts.`
+          : `${extractedContent.length.toLocaleString()} characters extracted. Questions will cover the whole document.`}
+      </p>
+
+      {outline ? (
+        <DocumentOutline doc={outline} selection={selection} onChange={setSelection} />
+      ) : (
+        <textarea
+          rows="10"
+          value={extractedContent}
+          readOnly
+          style={{ width: "100%", padding: "10px" }}
+        />
+      )}
+
+      <QuizSettings settings={quizSettings} onChange={setQuizSettings} />
+
+      <label style={{ display: "block", marginTop: "10px", fontSize: "14px", color: "#666" }}>
+        <input
+          type="checkbox"
+          checked={freshQuestions}
+          onChange={(e) => setFreshQuestions(e.target.checked)}
+          style={{ marginRight: "6px" }}
+        />
+        Generate new questions (ignore saved ones for this document)
+      </label>
 
       <button
         onClick={generateQuiz}
@@ -280,6 +297,8 @@ function HomePage() {
         onClick={() => {
           setGithubLink("");
           setExtractedContent("");
+          setOutline(null);
+          setSelection(null);
           setIsExtracted(false);
           setError("");
         }}
@@ -1,15 +1,19 @@
 import { useState } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
+import { useAuth } from "@clerk/clerk-react";
+import LessonView from "../components/LessonView";
 
 function LearningPage() {
   const navigate = useNavigate();
   const location = useLocation();
+  const { getToken } = useAuth();
   
-  const { topic } = location.state || { topic: "" };
+  const { topic, attemptId } = location.state || { topic: "", attemptId: null };
 
   const [stage, setStage] = useState("input"); // "input", "questions", "content"
-  const [topicInput, setTopicInput] = useState(topic);
+  const [topicInput, setTopicInput] = useState(topic || "");
   const [learningQuestions, setLearningQuestions] = useState([]);
+  const [questionnaire, setQuestionnaire] = useState(null);
   const [learningIndex, setLearningIndex] = useState(0);
   const [learningSelected, setLearningSelected] = useState("");
   const [learningAnswers, setLearningAnswers] = useState([]);
@@ -41,8 +45,9 @@ function LearningPage() {
 
       const data = await res.json();
 
-      if (Array.isArray(data) && data.length === 5) {
-        setLearningQuestions(data);
+      if (Array.isArray(data.questions) && data.questions.length > 0) {
+        setLearningQuestions(data.questions);
+        setQuestionnaire(data.questionnaire);
         setLearningIndex(0);
         setLearningSelected("");
         setLearningAnswers([]);
@@ -81,12 +86,19 @@ function LearningPage() {
     setError("");
 
     try {
+      const token = await getToken();
       const res = await fetch("http://localhost:5000/evaluate-learning-style", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
         body: JSON.stringify({
           answers: answers,
-          topic: topicInput
+          topic: topicInput,
+          attemptId,
+          // Scored against the same questionnaire version that was shown
+          questionnaire: questionnaire?.id,
+          version: questionnaire?.version,
+          // Lets anonymous learners keep updating the same profile
+          styleId: localStorage.getItem("styleId")
         })
       });
 
@@ -97,6 +109,7 @@ function LearningPage() {
       const result = await res.json();
 
       if (result.success) {
+        localStorage.setItem("styleId", result.styleId);
         await generatePersonalizedContentForTopic(result.styleId);
       }
     } catch (err) {
@@ -108,12 +121,15 @@ function LearningPage() {
 
   const generatePersonalizedContentForTopic = async (styleId) => {
     try {
+      const token = await getToken();
       const res = await fetch("http://localhost:5000/generate-personalized-content", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
         body: JSON.stringify({
           topic: topicInput,
-          styleId: styleId
+          styleId: styleId,
+          // Grounds the lesson in the document the quiz came from
+          attemptId
         })
       });
 
@@ -195,7 +211,7 @@ function LearningPage() {
   if (stage === "questions" && learningQuestions.length > 0) {
     return (
       <div className="card">
-        <h2>🎓 Learning Preference Assessment</h2>
+        <h2>🎓 {questionnaire?.title || "Learning Preference Assessment"}</h2>
         <p style={{ color: "#666", marginBottom: "20px" }}>
           Question {learningIndex + 1} of {learningQuestions.length}
         </p>
@@ -261,6 +277,8 @@ function LearningPage() {
           Topic: <strong>{personalizedContent.topic}</strong>
         </p>
 
+        <LessonView lesson={personalizedContent.lesson} error={personalizedContent.lessonError} />
+
         <div style={{ marginBottom: "25px" }}>
           <h3>Suggested Learning Resources:</h3>
           <div style={{ marginTop: "15px" }}>
@@ -1,25 +1,34 @@
 import { useState } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
+import { useAuth } from "@clerk/clerk-react";
+import QuestionInput, { emptyResponse, hasResponse, isResponseCorrect } from "../components/questions";
 
 function QuizPage() {
   const navigate = useNavigate();
   const location = useLocation();
+  const { getToken } = useAuth();
   
-  const { questions, quizId } = location.state || { questions: [], quizId: null };
+  const { questions, quizId, requested, dropped } = location.state || { questions: [], quizId: null };
+
+  // Distinct reasons the server gave for questions it could not use
+  const droppedReasons = [...new Set((dropped || []).flatMap((d) => d.errors || []))].slice(0, 3);
+  const shortBy = requested ? requested - questions.length : 0;
 
   const [index, setIndex] = useState(0);
-  const [selected, setSelected] = useState("");
+  const [selected, setSelected] = useState(() => emptyResponse(questions[0]));
   const [userAnswers, setUserAnswers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [successMessage, setSuccessMessage] = useState("");
   const [error, setError] = useState("");
 
+  const answered = hasResponse(selected);
+
   const nextQuestion = async () => {
-    if (!selected) return;
+    if (!answered) return;
 
     const nextUserAnswers = [...userAnswers, selected];
     setUserAnswers(nextUserAnswers);
-    setSelected("");
+    setSelected(emptyResponse(questions[index + 1]));
 
     if (index + 1 < questions.length) {
       setIndex(index + 1);
@@ -32,11 +41,15 @@ function QuizPage() {
       try {
         let score = 0;
         let correctCount = 0;
+        let attemptId = null;
+        let review = null;
+        let skills = null;
 
         if (quizId) {
+          const token = await getToken();
           const resp = await fetch("http://localhost:5000/evaluate-quiz", {
             method: "POST",
-            headers: { "Content-Type": "application/json" },
+            headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
             body: JSON.stringify({ quizId, answers: nextUserAnswers })
           });
 
@@ -45,18 +58,16 @@ function QuizPage() {
             if (result && result.success) {
               score = Number(result.score) || 0;
               correctCount = Number(result.correct) || 0;
+              attemptId = result.attemptId || null;
+              review = Array.isArray(result.review) ? result.review : null;
+              skills = Array.isArray(result.skills) ? result.skills : null;
             } else {
               correctCount = result.correct || 0;
               score = questions.length > 0 ? Math.round((correctCount / questions.length) * 100) : 0;
             }
           } else {
             const clientCorrect = questions.reduce(
-              (acc, q, i) =>
-                acc +
-                ((q.answer || "").toString().trim().toLowerCase() ===
-                (nextUserAnswers[i] || "").toString().trim().toLowerCase()
-                  ? 1
-                  : 0),
+              (acc, q, i) => acc + (isResponseCorrect(q, nextUserAnswers[i]) ? 1 : 0),
               0
             );
             correctCount = clientCorrect;
@@ -64,12 +75,7 @@ function QuizPage() {
           }
         } else {
           const clientCorrect = questions.reduce(
-            (acc, q, i) =>
-              acc +
-              ((q.answer || "").toString().trim().toLowerCase() ===
-              (nextUserAnswers[i] || "").toString().trim().toLowerCase()
-                ? 1
-                : 0),
+            (acc, q, i) => acc + (isResponseCorrect(q, nextUserAnswers[i]) ? 1 : 0),
             0
           );
           correctCount = clientCorrect;
@@ -82,7 +88,10 @@ function QuizPage() {
             score,
             correctCount,
             questions,
-            userAnswers: nextUserAnswers
+            userAnswers: nextUserAnswers,
+            attemptId,
+            review,
+            skills
           }
         });
       } catch (err) {
@@ -108,33 +117,52 @@ function QuizPage() {
   return (
     <div className="card">
       <h3>🎯 Quiz ({index + 1}/{questions.length})</h3>
+      {index === 0 && shortBy > 0 && (
+        <div
+          style={{
+            padding: "10px",
+            marginBottom: "15px",
+            borderRadius: "4px",
+            border: "1px solid #FFB74D",
+            backgroundColor: "#FFF3E0",
+            fontSize: "14px",
+            textAlign: "left"
+          }}
+        >
+          <p style={{ margin: 0 }}>
+            ⚠️ You asked for {requested} questions but only {questions.length} could be generated.
+            {dropped.length > 0 && ` ${dropped.length} failed validation and were dropped:`}
+          </p>
+          {droppedReasons.length > 0 && (
+            <ul style={{ margin: "6px 0 0 0", paddingLeft: "20px", color: "#666" }}>
+              {droppedReasons.map((reason) => (
+                <li key={reason}>{reason}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
       <p style={{ fontSize: "18px", marginBottom: "15px" }}>
         {questions[index].question}
       </p>
 
-      {questions[index].options.map((opt, i) => (
-        <label key={i} className="option" style={{ display: "block", marginBottom: "10px" }}>
-          <input
-            type="radio"
-            name="option"
-            value={opt}
-            checked={selected === opt}
-            onChange={(e) => setSelected(e.target.value)}
-          />
-          <span style={{ marginLeft: "10px" }}>{opt}</span>
-        </label>
-      ))}
+      <QuestionInput
+        key={index}
+        question={questions[index]}
+        value={selected}
+        onChange={setSelected}
+      />
 
       <button
         onClick={nextQuestion}
-        disabled={!selected || loading}
+        disabled={!answered || loading}
         style={{
           padding: "10px 20px",
-          backgroundColor: selected ? "#FF9800" : "#ccc",
+          backgroundColor: answered ? "#FF9800" : "#ccc",
           color: "white",
           border: "none",
           borderRadius: "4px",
-          cursor: selected && !loading ? "pointer" : "not-allowed",
+          cursor: answered && !loading ? "pointer" : "not-allowed",
           marginTop: "15px"
         }}
       >
@@ -1,15 +1,41 @@
 import { useNavigate, useLocation } from "react-router-dom";
+import { formatResponse, isResponseCorrect } from "../components/questions";
+import TopicRecommendations from "../components/TopicRecommendations";
+import SkillBreakdown, { skillsFromReview } from "../components/SkillBreakdown";
 
 function ResultPage() {
   const navigate = useNavigate();
   const location = useLocation();
 
-  const { score, correctCount, questions } = location.state || {
+  const { score, correctCount, questions, userAnswers, attemptId, review, skills } = location.state || {
     score: 0,
     correctCount: 0,
-    questions: []
+    questions: [],
+    userAnswers: [],
+    attemptId: null,
+    review: null,
+    skills: null
   };
 
+  // Fall back to a client-side review when the server did not return one
+  const reviewItems = review || (questions || []).map((q, i) => {
+    const selected = (userAnswers || [])[i] || "";
+    return {
+      type: q.type || "mcq",
+      question: q.question,
+      options: q.options || [],
+      selected,
+      correctAnswer: q.answer || "",
+      isCorrect: isResponseCorrect(q, selected),
+      explanation: q.explanation || "",
+      source: q.source || "",
+      grounded: Boolean(q.grounded),
+      skill: q.skill || null
+    };
+  });
+
+  const skillScores = skills || skillsFromReview(reviewItems);
+
   return (
     <div className="card">
       <h2>🏆 Quiz Complete</h2>
@@ -18,8 +44,60 @@ function ResultPage() {
       </p>
       <p style={{ color: "#666" }}>Percentage: {score}%</p>
 
+      <SkillBreakdown skills={skillScores} />
+
+      {reviewItems.length > 0 && (
+        <div style={{ marginTop: "20px", textAlign: "left" }}>
+          <h3>📝 Review Your Answers</h3>
+          {reviewItems.map((item, idx) => (
+            <div
+              key={idx}
+              style={{
+                padding: "12px",
+                marginBottom: "10px",
+                borderRadius: "4px",
+                border: item.isCorrect ? "1px solid #C8E6C9" : "2px solid #E57373",
+                backgroundColor: item.isCorrect ? "#F1F8E9" : "#FFEBEE"
+              }}
+            >
+              <p style={{ margin: "0 0 8px 0", fontWeight: "bold" }}>
+                {item.isCorrect ? "✅" : "❌"} {idx + 1}. {item.question}
+              </p>
+              {item.skill && (
+                <p style={{ margin: "0 0 6px 0", fontSize: "12px", color: "#1976D2" }}>🏷️ {item.skill}</p>
+              )}
+              <p style={{ margin: "0 0 4px 0", fontSize: "14px" }}>
+                Your answer: <strong>{formatResponse(item.selected) || "—"}</strong>
+              </p>
+              {!item.isCorrect && (
+                <p style={{ margin: "0 0 4px 0", fontSize: "14px", color: "#2E7D32" }}>
+                  Correct answer: <strong>{formatResponse(item.correctAnswer)}</strong>
+                </p>
+              )}
+              {item.feedback && (
+                <p style={{ margin: "0 0 4px 0", fontSize: "13px", color: "#666" }}>
+                  {item.feedback}
+                </p>
+              )}
+              {item.explanation && (
+                <p style={{ margin: "6px 0 0 0", fontSize: "14px", color: "#555" }}>
+                  💡 {item.explanation}
+                </p>
+              )}
+              {item.source && (
+                <p style={{ margin: "6px 0 0 0", fontSize: "13px", color: "#777", fontStyle: "italic" }}>
+                  📄 Source: “{item.source}”{!item.grounded && " (not found in document)"}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <TopicRecommendations attemptId={attemptId} />
+
       <button
-        onClick={() => navigate("/assessment")}
+        onClick={() => navigate("/assessment", { state: { attemptId } })}
         style={{
           padding: "10px 20px",
           backgroundColor: "#9C27B0",
@@ -33,6 +111,22 @@ function ResultPage() {
         📖 Assess Your Knowledge Level
       </button>
 
+      <button
+        onClick={() => navigate("/review")}
+        style={{
+          padding: "10px 20px",
+          backgroundColor: "#009688",
+          color: "white",
+          border: "none",
+          borderRadius: "4px",
+          cursor: "pointer",
+          marginTop: "10px",
+          marginLeft: "10px"
+        }}
+      >
+        🔁 Review Missed Questions
+      </button>
+
       <button
         onClick={() => navigate("/")}
         style={{
@@ -0,0 +1,218 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "@clerk/clerk-react";
+import QuestionInput, { emptyResponse, hasResponse, formatResponse } from "../components/questions";
+
+// Recall ratings sent to the scheduler (SM-2 quality 0-5)
+const RATINGS = [
+  { label: "Again", quality: 1, color: "#F44336" },
+  { label: "Hard", quality: 3, color: "#FF9800" },
+  { label: "Good", quality: 4, color: "#2196F3" },
+  { label: "Easy", quality: 5, color: "#4CAF50" }
+];
+
+// Missed questions that are due today, one at a time
+function ReviewPage() {
+  const navigate = useNavigate();
+  const { getToken } = useAuth();
+
+  const [cards, setCards] = useState([]);
+  const [nextDueAt, setNextDueAt] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [selected, setSelected] = useState("");
+  const [check, setCheck] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const token = await getToken();
+
+        // Cards due before the end of the learner's own day
+        const endOfToday = new Date();
+        endOfToday.setHours(23, 59, 59, 999);
+
+        const res = await fetch(`http://localhost:5000/users/me/review?until=${encodeURIComponent(endOfToday.toISOString())}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+
+        if (!res.ok) {
+          throw new Error(`Server ${res.status}`);
+        }
+
+        const data = await res.json();
+        setCards(data.cards || []);
+        setNextDueAt(data.nextDueAt);
+        setSelected(emptyResponse(data.cards?.[0]?.question));
+      } catch (err) {
+        console.error("Review deck error:", err);
+        setError("Could not load your review deck");
+      }
+
+      setLoading(false);
+    };
+
+    load();
+  }, [getToken]);
+
+  const card = cards[index];
+
+  const checkAnswer = async () => {
+    setSaving(true);
+    setError("");
+
+    try {
+      const res = await fetch(`http://localhost:5000/users/me/review/${card.id}/check`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${await getToken()}` },
+        body: JSON.stringify({ response: selected })
+      });
+
+      if (!res.ok) {
+        throw new Error(`Server ${res.status}`);
+      }
+
+      setCheck(await res.json());
+    } catch (err) {
+      console.error("Review check error:", err);
+      setError("Could not check your answer");
+    }
+
+    setSaving(false);
+  };
+
+  const rate = async (quality) => {
+    setSaving(true);
+    setError("");
+
+    try {
+      const res = await fetch(`http://localhost:5000/users/me/review/${card.id}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${await getToken()}` },
+        body: JSON.stringify({ quality })
+      });
+
+      if (!res.ok) {
+        throw new Error(`Server ${res.status}`);
+      }
+
+      setCheck(null);
+      setSelected(emptyResponse(cards[index + 1]?.question));
+      setIndex(index + 1);
+    } catch (err) {
+      console.error("Review rating error:", err);
+      setError("Could not save your rating");
+    }
+
+    setSaving(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="card">
+        <p>Loading your review deck...</p>
+      </div>
+    );
+  }
+
+  if (!card) {
+    return (
+      <div className="card">
+        <h2>🔁 Review</h2>
+        {error ? (
+          <p style={{ color: "red" }}>{error}</p>
+        ) : (
+          <>
+            <p>{cards.length > 0 ? "🎉 All done for today!" : "Nothing to review today."}</p>
+            {nextDueAt && (
+              <p style={{ color: "#666" }}>Next review: {new Date(nextDueAt).toLocaleDateString()}</p>
+            )}
+          </>
+        )}
+        <button onClick={() => navigate("/")} style={{ marginTop: "10px" }}>
+          ← Back to Home
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <h3>🔁 Review ({index + 1}/{cards.length})</h3>
+      {card.question.skill && (
+        <p style={{ margin: "0 0 6px 0", fontSize: "12px", color: "#1976D2" }}>🏷️ {card.question.skill}</p>
+      )}
+      <p style={{ fontSize: "18px", marginBottom: "15px" }}>{card.question.question}</p>
+
+      <QuestionInput key={card.id} question={card.question} value={selected} onChange={setSelected} />
+
+      {!check ? (
+        <button
+          onClick={checkAnswer}
+          disabled={!hasResponse(selected) || saving}
+          style={{
+            padding: "10px 20px",
+            backgroundColor: hasResponse(selected) ? "#FF9800" : "#ccc",
+            color: "white",
+            border: "none",
+            borderRadius: "4px",
+            cursor: hasResponse(selected) && !saving ? "pointer" : "not-allowed",
+            marginTop: "15px"
+          }}
+        >
+          {saving ? "Checking..." : "Check Answer"}
+        </button>
+      ) : (
+        <div
+          style={{
+            marginTop: "15px",
+            padding: "12px",
+            borderRadius: "4px",
+            border: check.isCorrect ? "1px solid #C8E6C9" : "2px solid #E57373",
+            backgroundColor: check.isCorrect ? "#F1F8E9" : "#FFEBEE",
+            textAlign: "left"
+          }}
+        >
+          <p style={{ margin: "0 0 4px 0", fontWeight: "bold" }}>
+            {check.isCorrect ? "✅ Correct" : "❌ Not quite"}
+          </p>
+          {!check.isCorrect && (
+            <p style={{ margin: "0 0 4px 0", fontSize: "14px", color: "#2E7D32" }}>
+              Correct answer: <strong>{formatResponse(check.correctAnswer)}</strong>
+            </p>
+          )}
+          {check.explanation && (
+            <p style={{ margin: "6px 0 0 0", fontSize: "14px", color: "#555" }}>💡 {check.explanation}</p>
+          )}
+
+          <p style={{ margin: "12px 0 6px 0", fontSize: "14px" }}>How well did you remember it?</p>
+          <div style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}>
+            {RATINGS.filter((r) => check.isCorrect || r.quality < 3).map((r) => (
+              <button
+                key={r.label}
+                onClick={() => rate(r.quality)}
+                disabled={saving}
+                style={{
+                  padding: "8px 14px",
+                  backgroundColor: r.color,
+                  color: "white",
+                  border: "none",
+                  borderRadius: "4px",
+                  cursor: saving ? "not-allowed" : "pointer"
+                }}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && <p style={{ color: "red", marginTop: "10px" }}>{error}</p>}
+    </div>
+  );
+}
+
+export default ReviewPage;
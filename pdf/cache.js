@@ -0,0 +1,121 @@
+import { createHash } from "crypto";
+import { getLLMProvider } from "./llm/index.js";
+import { generateQuestionsForDocument } from "./chunkedGenerator.js";
+import { extractSkillProfile } from "./skillProfile.js";
+
+// ===============================
+// CONTENT-ADDRESSED CACHE
+// ===============================
+// In-memory caches keyed by hashes of what was processed, not of where it
+// came from: the same bytes behind two links share one entry, and a changed
+// file gets a new one.
+//
+//   text cache       sha256(source bytes) + extractor     → { text, document }
+//   question cache   sha256(text) + options + LLM model   → { questions, dropped }
+//   profile cache    sha256(text) + LLM model             → skill profile
+//
+// Config (hours, fractions allowed):
+//   TEXT_CACHE_TTL_HOURS      default 24
+//   QUESTION_CACHE_TTL_HOURS  default 24
+//   PROFILE_CACHE_TTL_HOURS   default 24
+//   LINK_CACHE_TTL_HOURS      default 0.25 (how long a link is trusted to
+//                             still serve the same bytes, so repeat
+//                             extractions skip the download too)
+//
+// Every lookup reports "hit", "miss" or "bypass" (forced refresh: computed
+// again and the entry replaced).
+
+const MAX_ENTRIES = 200;
+
+const ttlMs = (name, fallbackHours) => Number(process.env[name] || fallbackHours) * 60 * 60 * 1000;
+
+// sha256 over any mix of strings, buffers and JSON values
+export function hashOf(...parts) {
+  const hash = createHash("sha256");
+  for (const part of parts) {
+    hash.update(Buffer.isBuffer(part) || typeof part === "string" ? part : JSON.stringify(part ?? null));
+    hash.update("\u0000");
+  }
+  return hash.digest("hex");
+}
+
+// TTL + least-recently-used eviction on top of Map insertion order
+export function createCache({ name, ttlEnv, ttlHours, maxEntries = MAX_ENTRIES }) {
+  const entries = new Map();
+  const counts = { hits: 0, misses: 0 };
+
+  const get = (key) => {
+    const entry = entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      counts.misses++;
+      return undefined;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    counts.hits++;
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs(ttlEnv, ttlHours) });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const stats = () => ({ name, size: entries.size, ...counts });
+
+  return { get, set, stats };
+}
+
+// Looks `key` up, computing and storing the value on a miss or bypass.
+// Resolves to { value, cache: "hit" | "miss" | "bypass" }.
+export async function cached(cache, key, { bypass = false } = {}, compute) {
+  if (!bypass) {
+    const value = cache.get(key);
+    if (value !== undefined) return { value, cache: "hit" };
+  }
+
+  const value = await compute();
+  cache.set(key, value);
+
+  return { value, cache: bypass ? "bypass" : "miss" };
+}
+
+export const linkCache = createCache({ name: "links", ttlEnv: "LINK_CACHE_TTL_HOURS", ttlHours: 0.25 });
+export const textCache = createCache({ name: "text", ttlEnv: "TEXT_CACHE_TTL_HOURS", ttlHours: 24 });
+export const questionCache = createCache({ name: "questions", ttlEnv: "QUESTION_CACHE_TTL_HOURS", ttlHours: 24 });
+export const profileCache = createCache({ name: "profiles", ttlEnv: "PROFILE_CACHE_TTL_HOURS", ttlHours: 24 });
+
+// generateQuestionsForDocument behind the question cache. A different model
+// gives different questions, so the provider is part of the key.
+// Resolves to { questions, dropped, cache }.
+export async function generateQuestionsCached(text, options, { bypass = false } = {}) {
+  const llm = getLLMProvider();
+  const key = hashOf("questions", hashOf(text), options, `${llm.name}:${llm.model}`);
+
+  const { value, cache } = await cached(questionCache, key, { bypass }, () =>
+    generateQuestionsForDocument(text, options)
+  );
+
+  console.log(`🗄️ Question cache ${cache}`);
+
+  return { questions: value.questions, dropped: value.dropped, cache };
+}
+
+// extractSkillProfile behind the profile cache. Resolves to { profile, cache }.
+export async function extractSkillProfileCached(text, { bypass = false } = {}) {
+  const llm = getLLMProvider();
+  const key = hashOf("skill-profile", hashOf(text), `${llm.name}:${llm.model}`);
+
+  const { value, cache } = await cached(profileCache, key, { bypass }, () => extractSkillProfile(text));
+
+  console.log(`🗄️ Profile cache ${cache}`);
+
+  return { profile: value, cache };
+}
@@ -0,0 +1,241 @@
+import { generateQuestions } from "./questionGenerator.js";
+import { chunkText } from "./chunker.js";
+import { DEFAULT_GENERATION_OPTIONS, DIFFICULTY_LEVELS, MAX_QUESTION_COUNT } from "./generationOptions.js";
+
+// ===============================
+// WHOLE-DOCUMENT GENERATION
+// ===============================
+// Long documents are split into chunks; up to count + 1 chunks spread evenly
+// over the document get their own candidate questions (one LLM call each)
+// and a balanced final set is picked across them, so the quiz covers the
+// whole document instead of its first few pages without one call per chunk.
+// Every question records the chunk it came from: { index, start, end }.
+//
+// With `skills` in the options the quiz is built per skill instead: exactly
+// questionsPerSkill questions for every skill, in skill order. Skills the
+// first pass did not cover get one more request on the chunk that mentions
+// them most; a skill still short after that is reported in `dropped`.
+
+// Errors that mean "stop calling the LLM", not "skip this chunk"
+const isFatal = (err) => {
+  const msg = String(err?.message || "");
+  return msg.includes("Too Many Requests") || msg.toLowerCase().includes("quota");
+};
+
+// Options for one chunk's candidate request
+function chunkOptions(options, perChunk) {
+  const levels = options.difficulty
+    ? DIFFICULTY_LEVELS.filter((level) => options.difficulty[level] > 0)
+    : [];
+
+  return {
+    ...options,
+    count: perChunk,
+    // A single requested level can be asked for directly; a mix is balanced at selection time
+    difficulty: levels.length === 1 ? { beginner: 0, intermediate: 0, advanced: 0, [levels[0]]: perChunk } : null,
+    // A chunk may not cover every skill; the per-skill quota is applied at selection time
+    questionsPerSkill: null
+  };
+}
+
+// Chunk visiting order that spreads `count` picks evenly over `n` chunks,
+// followed by the chunks that were skipped
+function spreadOrder(n, count) {
+  const picks = Math.min(n, count);
+  const first = [...new Set(Array.from({ length: picks }, (_, i) => Math.floor((i * n) / picks)))];
+  const rest = Array.from({ length: n }, (_, i) => i).filter((i) => !first.includes(i));
+  return [...first, ...rest];
+}
+
+// At most count + 1 chunks, evenly spaced and in document order
+function sampleChunks(chunks, count) {
+  const n = Math.min(chunks.length, count + 1);
+  const picked = new Set(Array.from({ length: n }, (_, i) => Math.floor((i * chunks.length) / n)));
+  return chunks.filter((_, i) => picked.has(i));
+}
+
+// Round-robin over chunks, honouring the difficulty quota when one was requested
+function selectBalanced(candidatesByChunk, options) {
+  const queues = spreadOrder(candidatesByChunk.length, options.count)
+    .map((i) => [...candidatesByChunk[i]]);
+  const quota = options.difficulty ? { ...options.difficulty } : null;
+  const selected = [];
+
+  const take = (fits) => {
+    let progress = true;
+    while (selected.length < options.count && progress) {
+      progress = false;
+      for (const queue of queues) {
+        if (selected.length >= options.count) break;
+
+        const i = queue.findIndex(fits);
+        if (i === -1) continue;
+
+        const [question] = queue.splice(i, 1);
+        selected.push(question);
+        progress = true;
+
+        const level = String(question.difficulty || "").toLowerCase();
+        if (quota && quota[level] > 0) quota[level]--;
+      }
+    }
+  };
+
+  if (quota) {
+    take((q) => quota[String(q.difficulty || "").toLowerCase()] > 0);
+  }
+
+  // Fill whatever is left (no quota, or not enough questions of a level)
+  take(() => true);
+
+  // Present questions in document order
+  return selected.sort((a, b) => a.chunk.index - b.chunk.index);
+}
+
+const skillKey = (name) => String(name || "").trim().toLowerCase();
+
+// Up to questionsPerSkill candidates per requested skill, labelled with the
+// requested spelling. Resolves to { selected, missing: [{ skill, needed }] }.
+function selectPerSkill(candidates, options) {
+  const selected = [];
+  const missing = [];
+
+  for (const skill of options.skills) {
+    const matches = candidates
+      .filter((q) => skillKey(q.skill) === skillKey(skill))
+      .slice(0, options.questionsPerSkill);
+
+    selected.push(...matches.map((q) => ({ ...q, skill })));
+    if (matches.length < options.questionsPerSkill) {
+      missing.push({ skill, needed: options.questionsPerSkill - matches.length });
+    }
+  }
+
+  return { selected, missing };
+}
+
+// The chunk that mentions the skill most often (the first one on a tie)
+function bestChunkFor(skill, chunks) {
+  const needle = skillKey(skill);
+  const mentions = (chunk) => chunk.text.toLowerCase().split(needle).length - 1;
+
+  return chunks.reduce((best, chunk) => (mentions(chunk) > mentions(best) ? chunk : best), chunks[0]);
+}
+
+// Candidates for every chunk, sequential on purpose: parallel calls quickly
+// hit provider rate limits. Resolves to { candidatesByChunk, dropped }.
+async function generateCandidates(chunks, options) {
+  const candidatesByChunk = [];
+  const dropped = [];
+
+  for (const chunk of chunks) {
+    const where = { index: chunk.index, start: chunk.start, end: chunk.end };
+
+    try {
+      const result = await generateQuestions(chunk.text, options);
+      candidatesByChunk.push(result.questions.map((q) => ({ ...q, chunk: where })));
+      dropped.push(...result.dropped.map((d) => ({ ...d, chunk: chunk.index })));
+    } catch (err) {
+      if (isFatal(err)) throw err;
+
+      console.error(`❌ Chunk ${chunk.index} failed:`, err.message);
+      candidatesByChunk.push([]);
+      dropped.push(...(err.dropped || [{ index: null, question: null, errors: [err.message] }])
+        .map((d) => ({ ...d, chunk: chunk.index })));
+    }
+  }
+
+  return { candidatesByChunk, dropped };
+}
+
+async function generateForSkills(chunks, options) {
+  const sampled = sampleChunks(chunks, options.count);
+  const perChunk = Math.min(MAX_QUESTION_COUNT, Math.ceil(options.count / sampled.length) + 1);
+  const first = chunks.length === 1
+    ? await generateCandidates(chunks, options)
+    : await generateCandidates(sampled, chunkOptions(options, perChunk));
+
+  const candidates = first.candidatesByChunk.flat();
+  const dropped = first.dropped;
+  let { selected, missing } = selectPerSkill(candidates, options);
+
+  if (missing.length > 0) {
+    console.warn(`⚠️ ${missing.length} skill(s) short of questions, asking again: ${missing.map((m) => m.skill).join(", ")}`);
+
+    // One follow-up request per chunk, for the skills that chunk covers best
+    const byChunk = new Map();
+    for (const item of missing) {
+      const chunk = bestChunkFor(item.skill, chunks);
+      byChunk.set(chunk, [...(byChunk.get(chunk) || []), item]);
+    }
+
+    for (const [chunk, items] of byChunk) {
+      const needed = Math.max(...items.map((item) => item.needed));
+      const retry = await generateCandidates([chunk], {
+        ...options,
+        skills: items.map((item) => item.skill),
+        questionsPerSkill: needed,
+        count: items.length * needed,
+        difficulty: null
+      });
+
+      candidates.push(...retry.candidatesByChunk.flat());
+      dropped.push(...retry.dropped);
+    }
+
+    ({ selected, missing } = selectPerSkill(candidates, options));
+  }
+
+  for (const { skill, needed } of missing) {
+    dropped.push({
+      index: null,
+      question: null,
+      skill,
+      errors: [`${needed} of ${options.questionsPerSkill} question(s) for skill "${skill}" could not be generated`]
+    });
+  }
+
+  if (selected.length === 0) {
+    const noneValid = new Error("No valid questions generated");
+    noneValid.dropped = dropped;
+    throw noneValid;
+  }
+
+  return { questions: selected, dropped, chunks: chunks.length };
+}
+
+export async function generateQuestionsForDocument(text, options = DEFAULT_GENERATION_OPTIONS) {
+  const chunks = chunkText(text);
+
+  if (options.skills?.length > 0) {
+    const whole = { index: 0, start: 0, end: String(text || "").length, text: String(text || "") };
+    return generateForSkills(chunks.length > 0 ? chunks : [whole], options);
+  }
+
+  if (chunks.length <= 1) {
+    const { questions, dropped } = await generateQuestions(text, options);
+    const whole = { index: 0, start: 0, end: String(text || "").length };
+    return {
+      questions: questions.map((q) => ({ ...q, chunk: whole })),
+      dropped,
+      chunks: 1
+    };
+  }
+
+  const sampled = sampleChunks(chunks, options.count);
+  const perChunk = Math.min(MAX_QUESTION_COUNT, Math.ceil(options.count / sampled.length) + 1);
+
+  console.log(`📚 Generating from ${sampled.length} of ${chunks.length} chunks, ${perChunk} candidates each`);
+
+  const { candidatesByChunk, dropped } = await generateCandidates(sampled, chunkOptions(options, perChunk));
+
+  const questions = selectBalanced(candidatesByChunk, options);
+
+  if (questions.length === 0) {
+    const noneValid = new Error("No valid questions generated");
+    noneValid.dropped = dropped;
+    throw noneValid;
+  }
+
+  return { questions, dropped, chunks: chunks.length };
+}
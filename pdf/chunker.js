@@ -0,0 +1,58 @@
+// ===============================
+// DOCUMENT CHUNKING
+// ===============================
+// Splits long documents into sections small enough for one LLM call.
+// Cuts prefer paragraph breaks, then sentence ends, then any whitespace, so
+// a chunk rarely ends mid-sentence. Each chunk records its character range
+// in the original text.
+
+export const DEFAULT_CHUNK_SIZE = 6000;
+export const MAX_CHUNKS = 12;
+
+// Best cut position in text[start, limit): paragraph > sentence > word > hard cut
+function findCut(text, start, limit) {
+  const window = text.slice(start, limit);
+  const minCut = Math.floor(window.length / 2);
+
+  const lastMatchEnd = (pattern) => {
+    let end = -1;
+    for (const match of window.matchAll(pattern)) end = match.index + match[0].length;
+    return end;
+  };
+
+  for (const pattern of [/\n\s*\n/g, /[.!?]\s/g, /\s/g]) {
+    const cut = lastMatchEnd(pattern);
+    if (cut >= minCut) return start + cut;
+  }
+
+  return limit;
+}
+
+// Returns [{ index, start, end, text }]. Documents longer than
+// MAX_CHUNKS * chunkSize get proportionally larger chunks.
+export function chunkText(text, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+  const source = String(text || "");
+  if (!source.trim()) return [];
+
+  const size = Math.max(chunkSize, Math.ceil(source.length / MAX_CHUNKS));
+  const chunks = [];
+  let start = 0;
+
+  while (start < source.length) {
+    const end = start + size >= source.length ? source.length : findCut(source, start, start + size);
+    const chunk = source.slice(start, end).trim();
+
+    const previous = chunks[chunks.length - 1];
+
+    // Fold a tiny trailing piece into the previous chunk instead of sending it alone
+    if (chunk && previous && chunk.length < size / 10) {
+      previous.end = end;
+      previous.text = source.slice(previous.start, end).trim();
+    } else if (chunk) {
+      chunks.push({ index: chunks.length, start, end, text: chunk });
+    }
+    start = end;
+  }
+
+  return chunks;
+}
@@ -5,10 +5,11 @@ const githubUrl =
 
 async function run() {
 
-  const res = await fetch("http://localhost:3333", {
+  const res = await fetch("http://localhost:3333/mcp", {
     method: "POST",
     headers: {
-      "Content-Type": "application/json"
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream"
     },
 
     body: JSON.stringify({
@@ -28,7 +29,12 @@ async function run() {
 
   const data = await res.json();
 
-  console.log("✅ Result:\n", JSON.stringify(data, null, 2));
+  if (data.error || data.result.isError) {
+    console.log("❌ Error:\n", JSON.stringify(data.error || data.result.structuredContent, null, 2));
+    return;
+  }
+
+  console.log("✅ Result:\n", JSON.stringify(data.result.structuredContent, null, 2));
 }
 
 run();
\ No newline at end of file
@@ -0,0 +1,5 @@
+import dotenv from "dotenv";
+
+// Loads .env without dotenv's startup banner: in stdio mode stdout belongs to
+// the MCP protocol, and a stray log line would break the client
+dotenv.config({ quiet: true });
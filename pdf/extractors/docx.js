@@ -0,0 +1,23 @@
+import mammoth from "mammoth";
+import { parse } from "node-html-parser";
+import { blocksFromHtml } from "./structure.js";
+
+// DOCX files are zip archives; "PK" is the zip signature
+const isZip = (buffer) => buffer.slice(0, 2).toString() === "PK";
+
+export default {
+  name: "docx",
+  extensions: [".docx"],
+  contentTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  sniff: isZip,
+
+  async extract(buffer) {
+    if (!isZip(buffer)) {
+      throw new Error("Not a valid DOCX file");
+    }
+
+    // HTML keeps Word's heading styles and lists; raw text would lose them
+    const { value } = await mammoth.convertToHtml({ buffer });
+    return { blocks: blocksFromHtml(parse(value)) };
+  }
+};
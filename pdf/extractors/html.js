@@ -0,0 +1,54 @@
+import { parse } from "node-html-parser";
+import { blocksFromHtml } from "./structure.js";
+
+// Elements that never hold the page's main content
+const BOILERPLATE_TAGS = "head, script, style, noscript, template, iframe, svg, nav, header, footer, aside, form, button";
+
+// Containers that are never dropped for their class or id
+const CONTENT_TAGS = new Set(["html", "body", "main", "article"]);
+
+// class/id names typical of menus, banners and widgets: the hint starts or
+// ends the name ("share-buttons", "site-footer"). State modifiers such as
+// "has-sidebar" or "with-share-buttons" describe the content, not a widget.
+const HINTS = "nav|navbar|menu|footer|header|sidebar|breadcrumbs?|cookie|banner|advert|ads|share|social|comments?|related";
+const BOILERPLATE_HINT = new RegExp(`^(${HINTS})([_-]|$)|[_-](${HINTS})$`, "i");
+const MODIFIER = /^(has|with|no|is)[_-]/i;
+
+const DOCTYPE = /^\s*<!doctype[^>]*>/i;
+
+const looksLikeBoilerplate = (el) =>
+  `${el.getAttribute("class") || ""} ${el.getAttribute("id") || ""}`
+    .split(/\s+/)
+    .some((name) => name && !MODIFIER.test(name) && BOILERPLATE_HINT.test(name));
+
+// The element holding the page's main content, with boilerplate removed
+export function mainContent(html) {
+  const root = parse(html.replace(DOCTYPE, ""));
+
+  root.querySelectorAll(BOILERPLATE_TAGS).forEach((el) => el.remove());
+
+  // Prefer the page's own idea of its main content
+  const main = root.querySelector("main") || root.querySelector("article") || root.querySelector("body") || root;
+
+  // Neither the main element nor anything around it is dropped by class hints
+  const keep = new Set();
+  for (let el = main; el; el = el.parentNode) keep.add(el);
+
+  root.querySelectorAll("[class], [id]").forEach((el) => {
+    if (keep.has(el) || CONTENT_TAGS.has(el.tagName.toLowerCase())) return;
+    if (looksLikeBoilerplate(el)) el.remove();
+  });
+
+  return main;
+}
+
+export default {
+  name: "html",
+  extensions: [".html", ".htm"],
+  contentTypes: ["text/html", "application/xhtml+xml"],
+  sniff: (buffer) => /^\s*(<!doctype html|<html)/i.test(buffer.slice(0, 200).toString()),
+
+  async extract(buffer) {
+    return { blocks: blocksFromHtml(mainContent(buffer.toString("utf8"))) };
+  }
+};
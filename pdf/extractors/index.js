@@ -0,0 +1,52 @@
+import pdf from "./pdf.js";
+import docx from "./docx.js";
+import markdown from "./markdown.js";
+import html from "./html.js";
+import text from "./text.js";
+import { buildDocument } from "./structure.js";
+
+// ===============================
+// EXTRACTOR REGISTRY
+// ===============================
+// Each extractor is { name, extensions, contentTypes, sniff?(buffer), extract(buffer) },
+// where extract resolves to { blocks, pageCount? } (see structure.js).
+// Selection order: file extension, then Content-Type, then sniffing the bytes,
+// then plain text. Extensions win because raw file hosts (e.g. GitHub) serve
+// most files as text/plain or application/octet-stream.
+
+export const extractors = [pdf, docx, markdown, html, text];
+
+const GENERIC_TYPES = ["application/octet-stream", "text/plain", "binary/octet-stream"];
+
+const extensionOf = (filename = "") => {
+  const match = String(filename).toLowerCase().split(/[?#]/)[0].match(/\.[a-z0-9]+$/);
+  return match ? match[0] : "";
+};
+
+export function getExtractor(name) {
+  return extractors.find((extractor) => extractor.name === name) || null;
+}
+
+export function findExtractor({ contentType = "", filename = "", buffer = null } = {}) {
+  const ext = extensionOf(filename);
+  const type = String(contentType).split(";")[0].trim().toLowerCase();
+
+  return (
+    (ext && extractors.find((e) => e.extensions.includes(ext))) ||
+    (type && !GENERIC_TYPES.includes(type) && extractors.find((e) => e.contentTypes.includes(type))) ||
+    (buffer && extractors.find((e) => e.sniff && e.sniff(buffer))) ||
+    text
+  );
+}
+
+// Runs the chosen (or auto-detected) extractor.
+// Resolves to { text, format, document } (see structure.js).
+export async function extractText(buffer, { format, contentType, filename } = {}) {
+  const extractor = format ? getExtractor(format) : findExtractor({ contentType, filename, buffer });
+  if (!extractor) throw new Error(`Unsupported format "${format}"`);
+
+  const { blocks, pageCount } = await extractor.extract(buffer);
+  const { text, document } = buildDocument(extractor.name, blocks, pageCount);
+
+  return { text, format: extractor.name, document };
+}
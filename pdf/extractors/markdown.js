@@ -0,0 +1,121 @@
+// Markdown → blocks: keeps the words and the outline, drops the syntax
+
+const FENCE = /^\s{0,3}(```|~~~)/;
+const ATX_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const SETEXT = /^\s{0,3}(=+|-+)\s*$/;
+const RULE = /^\s{0,3}([-*_]\s*){3,}$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+
+// Inline syntax: links, images, emphasis, code spans, inline HTML, table pipes.
+// Code spans keep their contents verbatim, and _ / __ only count as emphasis
+// at word boundaries, so identifiers like MAX_RETRY_COUNT survive.
+export function stripInline(text) {
+  const spans = [];
+  const protectedText = text.replace(/(`+)(.+?)\1/g, (_, ticks, code) => {
+    spans.push(code.trim());
+    return `\u0000${spans.length - 1}\u0000`;
+  });
+
+  return protectedText
+    .replace(/<[^>]+>/g, " ")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}>\s?/, "")
+    .replace(/\|/g, " ")
+    .replace(/(\*\*|\*|~~)(\S(?:.*?\S)?)\1/g, "$2")
+    .replace(/(^|\W)(__?)(\S(?:.*?\S)?)\2(?=\W|$)/g, "$1$3")
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => spans[Number(i)])
+    .trim();
+}
+
+export function markdownBlocks(source) {
+  const lines = source.replace(/^---\n[\s\S]*?\n---\n/, "").split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+  let items = [];
+  let code = null;
+
+  const flushParagraph = () => {
+    const text = paragraph.map(stripInline).join(" ");
+    if (text.trim()) blocks.push({ type: "paragraph", text, page: 1 });
+    paragraph = [];
+  };
+
+  const flushList = () => {
+    if (items.length > 0) blocks.push({ type: "list", text: items.join(" "), items, page: 1 });
+    items = [];
+  };
+
+  for (const line of lines) {
+    // Fenced code: keep the code as its own paragraph
+    if (code !== null) {
+      if (FENCE.test(line)) {
+        if (code.length > 0) blocks.push({ type: "paragraph", text: code.join("\n"), page: 1 });
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      flushParagraph();
+      flushList();
+      code = [];
+      continue;
+    }
+
+    const atx = line.match(ATX_HEADING);
+    if (atx) {
+      flushParagraph();
+      flushList();
+      blocks.push({ type: "heading", text: stripInline(atx[2]), level: atx[1].length, page: 1 });
+      continue;
+    }
+
+    // "Title\n=====" and "Title\n-----"
+    if (SETEXT.test(line) && paragraph.length === 1) {
+      blocks.push({ type: "heading", text: stripInline(paragraph[0]), level: line.includes("=") ? 1 : 2, page: 1 });
+      paragraph = [];
+      continue;
+    }
+
+    if (RULE.test(line) || !line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flushParagraph();
+      items.push(stripInline(item[1]));
+      continue;
+    }
+
+    // Indented continuation of the last list item
+    if (items.length > 0 && /^\s+/.test(line)) {
+      items[items.length - 1] += ` ${stripInline(line)}`;
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  flushList();
+  if (code?.length > 0) blocks.push({ type: "paragraph", text: code.join("\n"), page: 1 });
+
+  return blocks;
+}
+
+export default {
+  name: "markdown",
+  extensions: [".md", ".markdown", ".mdx"],
+  contentTypes: ["text/markdown", "text/x-markdown"],
+
+  async extract(buffer) {
+    return { blocks: markdownBlocks(buffer.toString("utf8")) };
+  }
+};
@@ -0,0 +1,153 @@
+import { createRequire } from "module";
+import { BULLET, SYMBOL_BULLET, looksLikeHeading } from "./structure.js";
+
+const require = createRequire(import.meta.url);
+const pdfParse = require("pdf-parse"); // works with v1.1.1
+
+export const isPDF = (buffer) => buffer.slice(0, 4).toString().includes("%PDF");
+
+// PDFs only know positioned text runs. Runs sharing a baseline form a line
+// ({ text, x, y, size }); blocks are recovered from the lines:
+//   heading    noticeably larger than the body font, or a short standalone
+//              line that starts a new paragraph
+//   paragraph  lines closer together than the usual line spacing, until an
+//              indent or a larger gap
+//   list       lines starting with a bullet, or a "1." marker after a break
+
+const HEADING_SCALE = 1.2;
+
+function toLines(items) {
+  const lines = [];
+
+  for (const item of items) {
+    const [, , c, d, x, y] = item.transform;
+    const size = Math.hypot(c, d) || item.height || 0;
+    const last = lines[lines.length - 1];
+
+    // Same approach as pdf-parse's default renderer: same baseline, same line
+    if (last && Math.abs(last.y - y) < Math.max(1, size * 0.3)) {
+      last.text += item.str;
+      if (item.str.trim()) last.size = Math.max(last.size, size);
+    } else {
+      lines.push({ text: item.str, x, y, size: item.str.trim() ? size : 0 });
+    }
+  }
+
+  return lines.filter((line) => line.text.trim());
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+// Font size covering most of the characters
+function bodySize(lines) {
+  const weights = new Map();
+  for (const line of lines) {
+    const size = Math.round(line.size * 2) / 2;
+    weights.set(size, (weights.get(size) || 0) + line.text.length);
+  }
+  return [...weights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+}
+
+function linesToBlocks(pages) {
+  const body = bodySize(pages.flat());
+  const isLarge = (line) => body > 0 && line.size >= body * HEADING_SCALE && line.text.trim().length <= 120;
+
+  // Bigger fonts → higher level (1 = largest), at most 3 levels
+  const headingSizes = [...new Set(pages.flat().filter(isLarge).map((line) => Math.round(line.size * 2) / 2))]
+    .sort((a, b) => b - a);
+  const levelOf = (line) => Math.min(3, headingSizes.indexOf(Math.round(line.size * 2) / 2) + 1);
+
+  const blocks = [];
+
+  pages.forEach((lines, pageIndex) => {
+    const page = pageIndex + 1;
+    const spacing = median(lines.slice(1).map((line, i) => lines[i].y - line.y).filter((gap) => gap > 0)) || body * 1.2;
+    let current = null;
+
+    lines.forEach((line, i) => {
+      const previous = lines[i - 1];
+      const next = lines[i + 1];
+      const text = line.text.trim();
+      const gap = previous ? previous.y - line.y : Infinity;
+
+      // New paragraph: big gap, indent, or the text moved up (next column)
+      const breaksBefore = !previous || gap > spacing * 1.4 || gap < 0 || line.x > previous.x + 5;
+      const breaksAfter = !next || (next.y < line.y && line.y - next.y > spacing * 1.4) || next.x > line.x + 5;
+
+      if (isLarge(line)) {
+        // Multi-line titles continue the heading above
+        if (current?.type === "heading" && gap > 0 && gap <= line.size * 1.6 && current.level === levelOf(line)) {
+          current.text += ` ${text}`;
+        } else {
+          current = { type: "heading", text, level: levelOf(line), page };
+          blocks.push(current);
+        }
+        return;
+      }
+
+      if (breaksBefore && breaksAfter && looksLikeHeading(text) && !BULLET.test(text)) {
+        current = { type: "heading", text, level: headingSizes.length + 1, page };
+        blocks.push(current);
+        return;
+      }
+
+      // "1." or "(e)" only starts an item at a paragraph break, not mid-sentence;
+      // numbering stays in the item text, bullet symbols are dropped
+      if (SYMBOL_BULLET.test(text) || (BULLET.test(text) && (breaksBefore || current?.type === "list"))) {
+        const item = text.replace(SYMBOL_BULLET, "");
+        if (current?.type === "list") {
+          current.items.push(item);
+        } else {
+          current = { type: "list", items: [item], page };
+          blocks.push(current);
+        }
+        return;
+      }
+
+      if (current && !breaksBefore && current.type !== "heading") {
+        if (current.type === "list") {
+          current.items[current.items.length - 1] += ` ${text}`;
+        } else {
+          current.text += ` ${text}`;
+        }
+        return;
+      }
+
+      current = { type: "paragraph", text, page };
+      blocks.push(current);
+    });
+  });
+
+  return blocks.map((block) => (block.type === "list" ? { ...block, text: block.items.join(" ") } : block));
+}
+
+export default {
+  name: "pdf",
+  extensions: [".pdf"],
+  contentTypes: ["application/pdf"],
+  sniff: isPDF,
+
+  async extract(buffer) {
+    if (!isPDF(buffer)) {
+      throw new Error("Not a valid PDF file");
+    }
+
+    const pages = [];
+
+    const data = await pdfParse(buffer, {
+      pagerender: async (pageData) => {
+        const content = await pageData.getTextContent();
+        pages[pageData.pageIndex] = toLines(content.items);
+        return "";
+      }
+    });
+
+    // Pages that failed to render still count, so page numbers stay right
+    const lines = Array.from({ length: data.numpages }, (_, i) => pages[i] || []);
+
+    return { blocks: linesToBlocks(lines), pageCount: data.numpages };
+  }
+};
@@ -0,0 +1,180 @@
+// ===============================
+// DOCUMENT STRUCTURE
+// ===============================
+// Extractors describe a document as an ordered list of blocks:
+//
+//   { type: "heading", text, level, page }
+//   { type: "paragraph", text, page }
+//   { type: "list", text, items: [...], page }
+//
+// buildDocument() turns the blocks into what the extraction tools return:
+//
+//   text       whitespace-collapsed full text (the flat field every tool has
+//              always returned)
+//   document   { format, pageCount, pages: [{ number, text }],
+//                sections: [{ index, title, level, pageStart, pageEnd, blocks }] }
+//
+// A section runs from one heading to the next. Content before the first
+// heading forms a section with title null. Formats without pages (HTML,
+// Markdown, DOCX, text) are reported as a single page.
+
+export const BULLET = /^\s*(?:[•◦▪▫●○■□‣⁃∙·*+–-]|\(?\d{1,2}[.)]|\(?[a-z][.)])\s+/;
+export const SYMBOL_BULLET = /^\s*[•◦▪▫●○■□‣⁃∙·*+–-]\s+/;
+
+export const collapseWhitespace = (value) => String(value || "").replace(/\s+/g, " ").trim();
+
+// Short standalone line without sentence punctuation, e.g. "Introduction",
+// "2.1 Methods", "PROJECTS"
+export const looksLikeHeading = (line) => {
+  const text = collapseWhitespace(line);
+  return (
+    text.length >= 2 &&
+    text.length <= 80 &&
+    /^[\p{Lu}\d]/u.test(text) &&
+    /\p{L}/u.test(text) &&
+    !/[.,;:!?]$/.test(text) &&
+    text.split(" ").length <= 10
+  );
+};
+
+const isUpperCase = (text) => text === text.toUpperCase() && /\p{Lu}/u.test(text);
+
+// ---------- plain text ----------
+
+// Paragraphs are separated by blank lines; bullet lines become lists and a
+// single short line on its own is taken as a heading
+export function blocksFromText(source, page = 1) {
+  const blocks = [];
+  let lines = [];
+
+  const flush = () => {
+    if (lines.length === 0) return;
+
+    if (lines.every((line) => BULLET.test(line))) {
+      const items = lines.map((line) => collapseWhitespace(line.replace(BULLET, "")));
+      blocks.push({ type: "list", text: items.join(" "), items, page });
+    } else if (lines.length === 1 && looksLikeHeading(lines[0])) {
+      const text = collapseWhitespace(lines[0]);
+      blocks.push({ type: "heading", text, level: isUpperCase(text) ? 1 : 2, page });
+    } else {
+      blocks.push({ type: "paragraph", text: collapseWhitespace(lines.join(" ")), page });
+    }
+
+    lines = [];
+  };
+
+  for (const line of String(source || "").split(/\r?\n/)) {
+    if (line.trim()) {
+      lines.push(line);
+    } else {
+      flush();
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+// ---------- HTML (also used for DOCX, via mammoth's HTML output) ----------
+
+const CONTAINER_TAGS = new Set([
+  "html", "body", "main", "article", "section", "div", "p", "pre", "blockquote",
+  "table", "thead", "tbody", "tfoot", "tr", "figure", "figcaption", "dl", "dt", "dd", "li", "address"
+]);
+
+// Walks a node-html-parser element in document order
+export function blocksFromHtml(root, page = 1) {
+  const blocks = [];
+  let run = "";
+
+  const flush = () => {
+    const text = collapseWhitespace(run);
+    if (text) blocks.push({ type: "paragraph", text, page });
+    run = "";
+  };
+
+  const visit = (node) => {
+    // Text node
+    if (node.nodeType === 3) {
+      run += node.text;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = String(node.rawTagName || "").toLowerCase();
+    const heading = tag.match(/^h([1-6])$/);
+
+    if (heading) {
+      flush();
+      const text = collapseWhitespace(node.text);
+      if (text) blocks.push({ type: "heading", text, level: Number(heading[1]), page });
+      return;
+    }
+
+    if (tag === "ul" || tag === "ol") {
+      flush();
+      const items = node.childNodes
+        .filter((child) => String(child.rawTagName || "").toLowerCase() === "li")
+        .map((li) => collapseWhitespace(li.text))
+        .filter(Boolean);
+      if (items.length > 0) blocks.push({ type: "list", text: items.join(" "), items, page });
+      return;
+    }
+
+    if (tag === "br" || tag === "td" || tag === "th") run += " ";
+
+    if (CONTAINER_TAGS.has(tag)) {
+      flush();
+      node.childNodes.forEach(visit);
+      flush();
+      return;
+    }
+
+    node.childNodes.forEach(visit);
+  };
+
+  visit(root);
+  flush();
+
+  return blocks;
+}
+
+// ---------- assembly ----------
+
+export function buildDocument(format, rawBlocks, pageCount = 1) {
+  const blocks = rawBlocks
+    .map((block) => ({ ...block, text: collapseWhitespace(block.text) }))
+    .filter((block) => block.text);
+
+  const pages = Array.from({ length: Math.max(1, pageCount) }, (_, i) => ({
+    number: i + 1,
+    text: collapseWhitespace(blocks.filter((block) => block.page === i + 1).map((block) => block.text).join(" "))
+  }));
+
+  const sections = [];
+  let current = null;
+
+  for (const block of blocks) {
+    if (block.type === "heading" || !current) {
+      current = {
+        index: sections.length,
+        title: block.type === "heading" ? block.text : null,
+        level: block.type === "heading" ? block.level : 0,
+        pageStart: block.page,
+        pageEnd: block.page,
+        blocks: []
+      };
+      sections.push(current);
+      if (block.type === "heading") continue;
+    }
+
+    const { type, text, items, page } = block;
+    current.blocks.push(items ? { type, text, items, page } : { type, text, page });
+    current.pageEnd = page;
+  }
+
+  return {
+    text: collapseWhitespace(blocks.map((block) => block.text).join(" ")),
+    document: { format, pageCount: pages.length, pages, sections }
+  };
+}
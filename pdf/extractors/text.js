@@ -0,0 +1,11 @@
+import { blocksFromText } from "./structure.js";
+
+export default {
+  name: "text",
+  extensions: [".txt", ".text"],
+  contentTypes: ["text/plain"],
+
+  async extract(buffer) {
+    return { blocks: blocksFromText(buffer.toString("utf8")) };
+  }
+};
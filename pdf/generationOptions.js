@@ -0,0 +1,170 @@
+import { QUESTION_TYPES } from "./questionTypes.js";
+
+// ===============================
+// QUIZ GENERATION OPTIONS
+// ===============================
+// Shared by the PDF service tools and the backend /generate route.
+//
+// Accepted input:
+// {
+//   count: 10,                                           // 1-20 questions
+//   difficulty: "Advanced" | { beginner: 2, intermediate: 2, advanced: 1 },
+//   topics: ["indexing", "hooks"],                       // optional focus topics
+//   types: ["mcq", "true_false"],                        // allowed question formats
+//   skills: ["Python", "Docker"],                        // optional: questions per skill,
+//   questionsPerSkill: 2                                 // count = skills × questionsPerSkill
+// }
+
+export const MAX_QUESTION_COUNT = 20;
+export const MAX_FOCUS_TOPICS = 10;
+export const MAX_SKILLS = 10;
+export const MAX_QUESTIONS_PER_SKILL = 5;
+export const DIFFICULTY_LEVELS = ["beginner", "intermediate", "advanced"];
+
+export const DEFAULT_GENERATION_OPTIONS = {
+  count: 5,
+  difficulty: null,
+  topics: [],
+  types: ["mcq"],
+  skills: [],
+  questionsPerSkill: null
+};
+
+// Validates raw options and returns { options, errors }.
+// `options` is only usable when `errors` is empty.
+export function validateGenerationOptions(input = {}) {
+  const errors = [];
+
+  if (input === null || typeof input !== "object" || Array.isArray(input)) {
+    return { options: null, errors: ["options must be an object"] };
+  }
+
+  // ---------- count ----------
+  let count = DEFAULT_GENERATION_OPTIONS.count;
+  if (input.count !== undefined) {
+    count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_QUESTION_COUNT) {
+      errors.push(`count must be an integer between 1 and ${MAX_QUESTION_COUNT}`);
+    }
+  }
+
+  // ---------- skills ----------
+  let skills = [];
+  let questionsPerSkill = null;
+  if (input.skills !== undefined && input.skills !== null) {
+    if (!Array.isArray(input.skills)) {
+      errors.push("skills must be an array of strings");
+    } else {
+      const names = input.skills.filter((s) => typeof s === "string").map((s) => s.trim()).filter(Boolean);
+      if (names.length !== input.skills.length) {
+        errors.push("skills must only contain non-empty strings");
+      }
+
+      // Same skill listed twice (any case) counts once
+      skills = names.filter((name, i) => names.findIndex((other) => other.toLowerCase() === name.toLowerCase()) === i);
+
+      if (skills.length > MAX_SKILLS) {
+        errors.push(`at most ${MAX_SKILLS} skills are allowed`);
+      }
+      if (skills.some((s) => s.length > 80)) {
+        errors.push("each skill must be 80 characters or less");
+      }
+    }
+  }
+
+  if (input.questionsPerSkill !== undefined && input.questionsPerSkill !== null) {
+    questionsPerSkill = Number(input.questionsPerSkill);
+    if (!Number.isInteger(questionsPerSkill) || questionsPerSkill < 1 || questionsPerSkill > MAX_QUESTIONS_PER_SKILL) {
+      errors.push(`questionsPerSkill must be an integer between 1 and ${MAX_QUESTIONS_PER_SKILL}`);
+    }
+    if (skills.length === 0) {
+      errors.push("questionsPerSkill requires skills");
+    }
+  }
+
+  if (skills.length > 0) {
+    questionsPerSkill = questionsPerSkill || 1;
+    const required = skills.length * questionsPerSkill;
+
+    if (input.count !== undefined && count !== required) {
+      errors.push(`count is ${count} but ${skills.length} skills × ${questionsPerSkill} questions need ${required}`);
+    } else if (required > MAX_QUESTION_COUNT) {
+      errors.push(`${skills.length} skills × ${questionsPerSkill} questions exceed the limit of ${MAX_QUESTION_COUNT}`);
+    }
+    count = required;
+  }
+
+  // ---------- difficulty ----------
+  let difficulty = null;
+  if (typeof input.difficulty === "string" && input.difficulty.trim()) {
+    const level = input.difficulty.trim().toLowerCase();
+    if (!DIFFICULTY_LEVELS.includes(level)) {
+      errors.push(`difficulty must be one of: ${DIFFICULTY_LEVELS.join(", ")}`);
+    } else {
+      difficulty = { beginner: 0, intermediate: 0, advanced: 0, [level]: count };
+    }
+  } else if (input.difficulty && typeof input.difficulty === "object") {
+    difficulty = {};
+    for (const level of DIFFICULTY_LEVELS) {
+      const value = Number(input.difficulty[level] || 0);
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push(`difficulty.${level} must be a non-negative integer`);
+      }
+      difficulty[level] = value;
+    }
+
+    const unknown = Object.keys(input.difficulty).filter((k) => !DIFFICULTY_LEVELS.includes(k));
+    if (unknown.length > 0) {
+      errors.push(`unknown difficulty level(s): ${unknown.join(", ")}`);
+    }
+
+    const sum = DIFFICULTY_LEVELS.reduce((acc, level) => acc + (difficulty[level] || 0), 0);
+    if (sum !== count) {
+      errors.push(`difficulty mix adds up to ${sum} but count is ${count}`);
+    }
+  } else if (input.difficulty !== undefined && input.difficulty !== null && input.difficulty !== "") {
+    errors.push("difficulty must be a level name or a { beginner, intermediate, advanced } mix");
+  }
+
+  // ---------- topics ----------
+  let topics = [];
+  if (input.topics !== undefined) {
+    if (!Array.isArray(input.topics)) {
+      errors.push("topics must be an array of strings");
+    } else {
+      topics = input.topics
+        .filter((t) => typeof t === "string")
+        .map((t) => t.trim())
+        .filter(Boolean);
+
+      if (topics.length !== input.topics.length) {
+        errors.push("topics must only contain non-empty strings");
+      }
+      if (topics.length > MAX_FOCUS_TOPICS) {
+        errors.push(`at most ${MAX_FOCUS_TOPICS} focus topics are allowed`);
+      }
+      if (topics.some((t) => t.length > 80)) {
+        errors.push("each topic must be 80 characters or less");
+      }
+    }
+  }
+
+  // ---------- types ----------
+  let types = DEFAULT_GENERATION_OPTIONS.types;
+  if (input.types !== undefined) {
+    if (!Array.isArray(input.types) || input.types.length === 0) {
+      errors.push("types must be a non-empty array");
+    } else {
+      const unknown = input.types.filter((t) => !QUESTION_TYPES.includes(t));
+      if (unknown.length > 0) {
+        errors.push(`unknown question type(s): ${unknown.join(", ")}. Allowed: ${QUESTION_TYPES.join(", ")}`);
+      }
+      types = [...new Set(input.types)];
+    }
+  }
+
+  return {
+    options: errors.length === 0 ? { count, difficulty, topics, types, skills, questionsPerSkill } : null,
+    errors
+  };
+}
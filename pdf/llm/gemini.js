@@ -0,0 +1,20 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+// Google Gemini through the official SDK
+export function createGeminiProvider({ apiKey, model = "gemini-2.5-flash" }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model,
+
+    async generate({ prompt, json = false }) {
+      const result = await genAI.getGenerativeModel({ model }).generateContent({
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
+        generationConfig: json ? { responseMimeType: "application/json" } : undefined
+      });
+
+      return result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    }
+  };
+}
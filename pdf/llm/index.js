@@ -0,0 +1,70 @@
+import "../env.js";
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createOfflineProvider } from "./offline.js";
+
+// ===============================
+// LLM PROVIDER
+// ===============================
+// Every LLM call in the codebase goes through getLLMProvider(). The adapter is
+// picked by configuration:
+//
+//   LLM_PROVIDER=gemini   (default)  GEMINI_API_KEY, LLM_MODEL (default gemini-2.5-flash)
+//   LLM_PROVIDER=openai              OPENAI_BASE_URL, OPENAI_API_KEY, LLM_MODEL
+//                                    (any OpenAI-compatible server, e.g. Ollama, llama.cpp)
+//   LLM_PROVIDER=offline             deterministic output, no network
+//
+// A provider is { name, model, generate({ prompt, json, task, input }) → Promise<string> }.
+// `task` and `input` describe the request in structured form for the offline provider;
+// network providers only use `prompt`.
+
+const factories = {
+  gemini: () => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.LLM_MODEL || undefined
+  }),
+  openai: () => createOpenAIProvider({
+    baseUrl: process.env.OPENAI_BASE_URL || undefined,
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.LLM_MODEL || undefined
+  }),
+  offline: () => createOfflineProvider()
+};
+
+let provider = null;
+
+export function getLLMProvider() {
+  if (provider) return provider;
+
+  const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(factories).join(", ")}`);
+  }
+
+  provider = factory();
+  console.log(`🤖 LLM provider: ${provider.name} (${provider.model})`);
+  return provider;
+}
+
+// Strips ```json fences some models wrap around JSON output
+const stripCodeFences = (text) =>
+  text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "").trim();
+
+// Runs a JSON request and parses the reply
+export async function generateJSON({ prompt, task, input }) {
+  const llm = getLLMProvider();
+  const rawText = await llm.generate({ prompt, json: true, task, input });
+
+  if (!rawText) {
+    throw new Error(`Empty ${llm.name} output`);
+  }
+
+  try {
+    return JSON.parse(stripCodeFences(rawText));
+  } catch (e) {
+    console.error("❌ JSON Parse Failed");
+    console.error("RAW OUTPUT:\n", rawText);
+    throw new Error(`Invalid JSON from ${llm.name}`);
+  }
+}
@@ -0,0 +1,42 @@
+import fetch from "node-fetch";
+
+// Any OpenAI-compatible /chat/completions endpoint: OpenAI itself, or a local
+// Ollama (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1)
+export function createOpenAIProvider({ baseUrl = "https://api.openai.com/v1", apiKey, model = "gpt-4o-mini" }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    model,
+
+    async generate({ prompt, json = false }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const res = await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [
+            ...(json ? [{ role: "system", content: "Respond with valid JSON only." }] : []),
+            { role: "user", content: prompt }
+          ],
+          temperature: 0.4
+        })
+      });
+
+      if (res.status === 429) {
+        throw new Error("Too Many Requests: LLM endpoint rate limit or quota exceeded");
+      }
+
+      if (!res.ok) {
+        const txt = await res.text();
+        throw new Error(`LLM endpoint failed (${res.status}): ${txt.substring(0, 200)}`);
+      }
+
+      const data = await res.json();
+      return data?.choices?.[0]?.message?.content || "";
+    }
+  };
+}
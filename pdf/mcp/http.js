@@ -0,0 +1,75 @@
+import { errorResponse, PARSE_ERROR, INVALID_REQUEST, SUPPORTED_PROTOCOL_VERSIONS } from "./protocol.js";
+
+// ===============================
+// STREAMABLE HTTP TRANSPORT
+// ===============================
+// Stateless flavour of the MCP streamable HTTP transport: every POST carries
+// one JSON-RPC message (or a batch) and gets a single application/json reply.
+// No session ids and no server-initiated SSE stream, so GET is refused with
+// 405 as the spec allows.
+//
+// Browsers may only reach the endpoint from allowed origins (DNS rebinding
+// protection); MCP_ALLOWED_ORIGINS adds origins, comma separated.
+
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+const allowedOrigins = () =>
+  String(process.env.MCP_ALLOWED_ORIGINS || "").split(",").map((o) => o.trim()).filter(Boolean);
+
+const isAllowedOrigin = (origin) => !origin || LOCAL_ORIGIN.test(origin) || allowedOrigins().includes(origin);
+
+const sendJSON = (res, status, payload) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+};
+
+async function readBody(req) {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return body;
+}
+
+export async function handleMcpHttp(mcp, req, res) {
+  if (!isAllowedOrigin(req.headers.origin)) {
+    sendJSON(res, 403, errorResponse(null, INVALID_REQUEST, "Origin not allowed"));
+    return;
+  }
+
+  if (req.method !== "POST") {
+    res.writeHead(405, { Allow: "POST" });
+    res.end();
+    return;
+  }
+
+  const version = req.headers["mcp-protocol-version"];
+  if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+    sendJSON(res, 400, errorResponse(null, INVALID_REQUEST, `Unsupported MCP-Protocol-Version: ${version}`));
+    return;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(await readBody(req));
+  } catch {
+    sendJSON(res, 400, errorResponse(null, PARSE_ERROR, "Parse error"));
+    return;
+  }
+
+  const messages = Array.isArray(message) ? message : [message];
+
+  if (messages.length === 0) {
+    sendJSON(res, 400, errorResponse(null, INVALID_REQUEST, "Empty batch"));
+    return;
+  }
+
+  const responses = (await Promise.all(messages.map(mcp.handle))).filter(Boolean);
+
+  // Only notifications or responses: accepted, nothing to send back
+  if (responses.length === 0) {
+    res.writeHead(202);
+    res.end();
+    return;
+  }
+
+  sendJSON(res, 200, Array.isArray(message) ? responses : responses[0]);
+}
@@ -0,0 +1,68 @@
+// ===============================
+// TOOL ARGUMENT VALIDATION
+// ===============================
+// Checks tool arguments against the JSON Schema published in tools/list.
+// Covers the subset our schemas use: type, required, properties,
+// additionalProperties, enum, minimum/maximum, minLength/maxLength,
+// minItems/maxItems and items. Returns a list of readable problems.
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+};
+
+export function checkSchema(schema, value, path = "arguments") {
+  if (!schema) return [];
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${path} must be ${types.join(" or ")}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...checkSchema(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const property = schema.properties?.[key];
+      if (property) {
+        errors.push(...checkSchema(property, item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
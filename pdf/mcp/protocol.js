@@ -0,0 +1,149 @@
+import { checkSchema } from "./jsonSchema.js";
+
+// ===============================
+// MODEL CONTEXT PROTOCOL
+// ===============================
+// Transport-independent MCP server: takes one parsed JSON-RPC message and
+// returns the response object, or null for notifications. The stdio and
+// streamable HTTP transports only move messages in and out of handle().
+//
+// Supported methods: initialize, ping, tools/list, tools/call, and the
+// notifications/initialized and notifications/cancelled notifications.
+//
+// Tools are { name, title?, description, inputSchema, handler(args) }.
+// A handler returns a plain object (sent as structuredContent plus a text
+// copy) or throws. Thrown errors with a numeric JSON-RPC `code` become protocol
+// errors; any other error becomes a tool result with isError: true, so the
+// calling model can see what went wrong. `err.data` is passed along in both.
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+// JSON-RPC 2.0 error codes
+export const PARSE_ERROR = -32700;
+export const INVALID_REQUEST = -32600;
+export const METHOD_NOT_FOUND = -32601;
+export const INVALID_PARAMS = -32602;
+export const INTERNAL_ERROR = -32603;
+
+export function rpcError(code, message, data) {
+  const err = new Error(message);
+  err.code = code;
+  err.data = data;
+  return err;
+}
+
+export function errorResponse(id, code, message, data) {
+  return {
+    jsonrpc: "2.0",
+    id: id ?? null,
+    error: data === undefined ? { code, message } : { code, message, data }
+  };
+}
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Tool handler output → CallToolResult
+function toolResult(payload) {
+  // Extraction tools return { text, ... }: hand the text over as is
+  const text = typeof payload?.text === "string" ? payload.text : JSON.stringify(payload);
+
+  return { content: [{ type: "text", text }], structuredContent: payload };
+}
+
+function toolError(err) {
+  const payload = { error: err.message, ...(isObject(err.data) ? err.data : {}) };
+  return { content: [{ type: "text", text: err.message }], structuredContent: payload, isError: true };
+}
+
+export function createMcpServer({ name, version, instructions, tools }) {
+  const byName = new Map(tools.map((tool) => [tool.name, tool]));
+
+  const methods = {
+    initialize(params) {
+      const requested = params?.protocolVersion;
+      if (typeof requested !== "string") {
+        throw rpcError(INVALID_PARAMS, "protocolVersion is required");
+      }
+
+      return {
+        // Same version when we speak it, otherwise our latest and the client decides
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name, version },
+        ...(instructions ? { instructions } : {})
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    "tools/list"() {
+      return {
+        tools: tools.map(({ name: toolName, title, description, inputSchema }) => ({
+          name: toolName,
+          ...(title ? { title } : {}),
+          description,
+          inputSchema
+        }))
+      };
+    },
+
+    async "tools/call"(params) {
+      const tool = byName.get(params?.name);
+      if (!tool) {
+        throw rpcError(INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+      }
+
+      const args = params.arguments ?? {};
+      const problems = checkSchema(tool.inputSchema, args);
+      if (problems.length > 0) {
+        throw rpcError(INVALID_PARAMS, `Invalid arguments for ${tool.name}`, { details: problems });
+      }
+
+      try {
+        return toolResult(await tool.handler(args));
+      } catch (err) {
+        if (Number.isInteger(err.code)) throw err;
+
+        console.error(`❌ Tool ${tool.name} failed:`, err.message);
+        return toolError(err);
+      }
+    }
+  };
+
+  // One JSON-RPC message in, one response (or null) out
+  async function handle(message) {
+    if (!isObject(message) || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+      // A response from the client (we never send requests) needs no reply
+      if (isObject(message) && message.jsonrpc === "2.0" && ("result" in message || "error" in message)) {
+        return null;
+      }
+      return errorResponse(message?.id, INVALID_REQUEST, "Invalid JSON-RPC request");
+    }
+
+    const isNotification = !("id" in message);
+
+    if (isNotification) {
+      // notifications/initialized, notifications/cancelled, ...: nothing to do
+      return null;
+    }
+
+    // Own methods only: "constructor", "toString" and the like are not methods
+    const method = Object.hasOwn(methods, message.method) ? methods[message.method] : null;
+    if (!method) {
+      return errorResponse(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+
+    try {
+      return { jsonrpc: "2.0", id: message.id, result: await method(message.params) };
+    } catch (err) {
+      if (Number.isInteger(err.code)) return errorResponse(message.id, err.code, err.message, err.data);
+
+      console.error("❌ MCP INTERNAL ERROR:", err);
+      return errorResponse(message.id, INTERNAL_ERROR, err.message);
+    }
+  }
+
+  return { handle };
+}
@@ -0,0 +1,48 @@
+import { createInterface } from "readline";
+import { errorResponse, PARSE_ERROR } from "./protocol.js";
+
+// ===============================
+// STDIO TRANSPORT
+// ===============================
+// Newline-delimited JSON-RPC on stdin/stdout, for MCP clients that launch
+// the server as a subprocess (`node server.js --stdio`).
+// stdout carries protocol messages only, so logs are moved to stderr.
+
+export function serveStdio(mcp) {
+  console.log = console.error;
+  console.info = console.error;
+
+  const send = (message) => process.stdout.write(JSON.stringify(message) + "\n");
+
+  // Requests still being answered when stdin closes
+  const pending = new Set();
+
+  const handleLine = async (line) => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send(errorResponse(null, PARSE_ERROR, "Parse error"));
+      return;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const responses = (await Promise.all(messages.map(mcp.handle))).filter(Boolean);
+
+    if (responses.length > 0) send(Array.isArray(message) ? responses : responses[0]);
+  };
+
+  const lines = createInterface({ input: process.stdin });
+  lines.on("line", (line) => {
+    const work = handleLine(line).finally(() => pending.delete(work));
+    pending.add(work);
+  });
+  lines.on("close", async () => {
+    await Promise.allSettled([...pending]);
+    process.exit(0);
+  });
+
+  console.error("✅ MCP document server running on stdio");
+}
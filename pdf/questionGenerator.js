@@ -1,9 +1,94 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import "dotenv/config";
+import { generateJSON } from "./llm/index.js";
+import { DEFAULT_GENERATION_OPTIONS } from "./generationOptions.js";
+import { QUESTION_TYPE_FORMATS } from "./questionTypes.js";
+import { unwrapQuestions, validateQuestions } from "./questionSchema.js";
+
+// Lowercase and collapse punctuation/whitespace so an excerpt still matches
+// the document after minor formatting differences (quotes, line breaks, bullets)
+const normalizeForMatch = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// True when the quoted source excerpt actually appears in the extracted text
+export function sourceAppearsIn(source, text) {
+  const excerpt = normalizeForMatch(source);
+  if (excerpt.length < 10) return false;
+  return normalizeForMatch(text).includes(excerpt);
+}
+
+// Prompt lines for the requested difficulty mix, focus topics and skills
+function describeOptions({ count, difficulty, topics, types, skills = [], questionsPerSkill = null }) {
+  const lines = [];
+
+  if (types.length > 1) {
+    lines.push(`Question types: use a mix of ${types.join(", ")}`);
+  }
+
+  if (difficulty) {
+    const mix = Object.entries(difficulty)
+      .filter(([, n]) => n > 0)
+      .map(([level, n]) => `${n} ${level}`)
+      .join(", ");
+    lines.push(`Difficulty mix (out of ${count}): ${mix}`);
+  } else {
+    lines.push("Difficulty: mix beginner, intermediate and advanced questions");
+  }
+
+  if (topics.length > 0) {
+    lines.push(`Focus ONLY on these topics: ${topics.join(", ")}`);
+  }
+
+  if (skills.length > 0) {
+    // Without a per-skill number the request is for one chunk of a longer document
+    lines.push(questionsPerSkill
+      ? `Skills: ask exactly ${questionsPerSkill} question(s) on EACH of these skills: ${skills.join(", ")}`
+      : `Skills: only ask about these skills, where the content covers them: ${skills.join(", ")}`);
+    lines.push(`Set "skill" on every question to the exact name of the skill it tests`);
+  }
+
+  return lines.join("\n");
+}
+
+// One re-prompt round for questions that failed schema validation.
+// Resolves to the LLM's corrected items, in the same order as `invalid`.
+async function repairInvalidQuestions(invalid, text) {
+  const prompt = `
+Some generated quiz questions failed validation. Fix every item so it satisfies
+the listed errors while testing the same knowledge.
+
+Rules:
+- mcq: exactly 4 distinct options, "answer" must be the exact text of one option
+- multi_select: 3-6 distinct options, "answer" is a list of exact option texts
+- true_false: options ["True","False"], answer "True" or "False"
+- fill_blank: question contains "____", answer is the missing word
+- short_answer: answer is a 1-2 sentence model answer
+- keep "type", "explanation", "source", "difficulty" and "skill"
+
+Return ONLY a JSON array with exactly ${invalid.length} fixed questions, in the same order.
+
+ITEMS:
+${JSON.stringify(invalid.map(({ question, errors }) => ({ question, errors })), null, 2)}
+
+CONTENT:
+${text}
+`;
+
+  const parsed = await generateJSON({
+    prompt,
+    task: "repair",
+    input: { items: invalid.map(({ question, errors }) => ({ question, errors })) }
+  });
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  return unwrapQuestions(parsed);
+}
 
-export async function generateQuestions(text) {
+// `options` must already be validated with validateGenerationOptions.
+// Resolves to { questions, dropped } where `dropped` lists every item that
+// still failed validation after one repair round: { index, question, errors }.
+// Throws an error carrying `dropped` when no valid question remains.
+export async function generateQuestions(text, options = DEFAULT_GENERATION_OPTIONS) {
   try {
 
     console.log("📝 Input text length:", text.length);
@@ -12,10 +97,6 @@ export async function generateQuestions(text) {
       throw new Error("Not enough content");
     }
 
-    const model = genAI.getGenerativeModel({
-      model: "gemini-2.5-flash"
-    });
-
     const prompt = `
 You are an expert technical interviewer.
 
@@ -70,62 +151,102 @@ If PDF says "Git":
 
 RULES:
 
-1. Generate exactly 5 MCQs
+1. Generate exactly ${options.count} questions
 2. Each question must test real knowledge
 3. No biography questions
 4. No resume-fact questions
 5. No personal references
-6. Return ONLY valid JSON
-7. No extra text
+6. Every question needs an "explanation": 1-2 sentences on why the answer is correct
+7. Every question needs a "source": a short excerpt copied WORD FOR WORD from CONTENT that the question is based on (do not paraphrase)
+8. Return ONLY valid JSON
+9. No extra text
+10. Tag every question with its "difficulty": "Beginner", "Intermediate" or "Advanced"
+11. Tag every question with the "skill" or concept it tests (1-4 words, e.g. "React hooks");
+    questions on the same skill must use exactly the same name
+
+${describeOptions(options)}
 
 FORMAT:
 
-[
-  {
-    "question": "...",
-    "options": ["A","B","C","D"],
-    "answer": "A"
-  }
-]
+Return a JSON array. Each item uses one of these shapes, plus "explanation", "source", "difficulty" and "skill":
+
+${options.types.map((type) => QUESTION_TYPE_FORMATS[type]).join("\n")}
 
 CONTENT:
 ${text}
 `;
 
-    console.log("🚀 Sending to Gemini...");
+    console.log("🚀 Sending to LLM...");
 
-    const result = await model.generateContent({
-      contents: [
-        { role: "user", parts: [{ text: prompt }] }
-      ],
-      generationConfig: {
-        responseMimeType: "application/json"
-      }
+    const parsed = await generateJSON({
+      prompt,
+      task: "questions",
+      input: { text, options }
     });
 
-    const rawText =
-      result?.response?.candidates?.[0]?.content?.parts?.[0]?.text;
+    const items = unwrapQuestions(parsed);
+    const { valid, invalid } = validateQuestions(items);
+    const dropped = [];
 
-    if (!rawText) {
-      throw new Error("Empty Gemini output");
+    if (invalid.length > 0) {
+      console.warn(`⚠️ ${invalid.length} question(s) failed validation, asking the LLM to repair them`);
+
+      let repairedItems = [];
+      try {
+        repairedItems = await repairInvalidQuestions(invalid, text);
+      } catch (repairErr) {
+        console.error("❌ Repair round failed:", repairErr.message);
+      }
+
+      // Repaired items line up with `invalid`; report failures against the original positions
+      invalid.forEach(({ index, question, errors }, i) => {
+        const retry = repairedItems[i] === undefined ? null : validateQuestions([repairedItems[i]]);
+
+        if (retry && retry.valid.length === 1) {
+          valid.push(retry.valid[0]);
+        } else {
+          dropped.push({
+            index,
+            question: question.question || null,
+            errors: retry ? retry.invalid[0].errors : errors
+          });
+        }
+      });
     }
 
-    console.log("🧠 AI Text:", rawText);
+    if (items.length === 0) {
+      dropped.push({ index: null, question: null, errors: ["response contained no questions"] });
+    }
 
-    let parsed;
+    const questions = valid.slice(0, options.count).map((q) => ({
+      ...q,
+      explanation: typeof q.explanation === "string" ? q.explanation.trim() : "",
+      source: typeof q.source === "string" ? q.source.trim() : "",
+      skill: typeof q.skill === "string" && q.skill.trim() ? q.skill.trim() : null,
+      grounded: sourceAppearsIn(q.source, text)
+    }));
+
+    // Flag questions whose source excerpt cannot be found in the document
+    const ungrounded = questions.filter((q) => !q.grounded).length;
+    if (ungrounded > 0) {
+      console.warn(`⚠️ ${ungrounded} question(s) cite a source not found in the document`);
+    }
+
+    const untagged = questions.filter((q) => !q.skill).length;
+    if (untagged > 0) {
+      console.warn(`⚠️ ${untagged} question(s) have no skill tag`);
+    }
 
-    try {
-      parsed = JSON.parse(rawText);
-    } catch (e) {
-      console.error("❌ JSON Parse Failed");
-      console.error("RAW OUTPUT:\n", rawText);
-      throw new Error("Invalid JSON from Gemini");
+    if (questions.length === 0) {
+      const noneValid = new Error("No valid questions generated");
+      noneValid.dropped = dropped;
+      throw noneValid;
     }
 
-    return parsed;
+    return { questions, dropped };
 
   } catch (err) {
-    console.error("❌ Gemini Error:", err);
+    console.error("❌ LLM Error:", err);
     throw err;
   }
 }
\ No newline at end of file
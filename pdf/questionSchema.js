@@ -0,0 +1,129 @@
+import { QUESTION_TYPES, normalizeQuestion } from "./questionTypes.js";
+
+// ===============================
+// QUESTION SCHEMA
+// ===============================
+// Formal rules every generated question must satisfy before it reaches a
+// learner. See questionTypes.js for the canonical shape of each type.
+//
+// common        question: non-empty string, type: one of QUESTION_TYPES,
+//               difficulty: Beginner | Intermediate | Advanced (optional)
+// mcq           exactly 4 distinct options, answer is one of them
+// multi_select  3-6 distinct options, answer is a non-empty subset
+// true_false    options ["True", "False"], answer "True" or "False"
+// fill_blank    question contains a blank (____), non-empty answer
+// short_answer  non-empty model answer
+
+const DIFFICULTIES = ["Beginner", "Intermediate", "Advanced"];
+const BLANK = /_{3,}/;
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+const hasDuplicates = (items) =>
+  new Set(items.map((item) => item.toLowerCase())).size !== items.length;
+
+// Accepts the shapes LLMs actually return: a bare array, { questions: [...] },
+// { questions: { questions: [...] } } or a single question object
+export function unwrapQuestions(parsed) {
+  if (Array.isArray(parsed)) return parsed;
+
+  if (parsed && typeof parsed === "object") {
+    if (parsed.questions !== undefined) return unwrapQuestions(parsed.questions);
+    if (parsed.question !== undefined) return [parsed];
+  }
+
+  return [];
+}
+
+// Returns the list of schema violations for one (normalized) question
+export function validateQuestion(q) {
+  const errors = [];
+
+  if (!q || typeof q !== "object") return ["question must be an object"];
+  if (!isNonEmptyString(q.question)) errors.push("question text is empty");
+  if (!QUESTION_TYPES.includes(q.type)) errors.push(`unknown type "${q.type}"`);
+  if (q.difficulty !== undefined && !DIFFICULTIES.includes(q.difficulty)) {
+    errors.push(`difficulty must be one of ${DIFFICULTIES.join(", ")}`);
+  }
+
+  const options = Array.isArray(q.options) ? q.options : [];
+
+  switch (q.type) {
+    case "mcq":
+      if (options.length !== 4) errors.push(`expected 4 options, got ${options.length}`);
+      if (hasDuplicates(options)) errors.push("options contain duplicates");
+      if (!options.includes(q.answer)) errors.push("answer is not one of the options");
+      break;
+
+    case "multi_select":
+      if (options.length < 3 || options.length > 6) errors.push(`expected 3-6 options, got ${options.length}`);
+      if (hasDuplicates(options)) errors.push("options contain duplicates");
+      if (!Array.isArray(q.answer) || q.answer.length === 0) {
+        errors.push("answer must be a non-empty list of options");
+      } else if (q.answer.some((a) => !options.includes(a))) {
+        errors.push("answer contains values that are not options");
+      }
+      break;
+
+    case "true_false":
+      if (!["True", "False"].includes(q.answer)) errors.push("answer must be True or False");
+      break;
+
+    case "fill_blank":
+      if (!BLANK.test(q.question || "")) errors.push("question has no blank (____)");
+      if (!isNonEmptyString(q.answer)) errors.push("answer is empty");
+      break;
+
+    case "short_answer":
+      if (!isNonEmptyString(q.answer)) errors.push("model answer is empty");
+      break;
+
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+// Cheap local fixes applied before asking the LLM: canonical shape,
+// capitalized difficulty, duplicate options removed
+export function repairQuestion(raw) {
+  const q = normalizeQuestion(raw || {});
+
+  if (Array.isArray(q.options)) {
+    const seen = new Set();
+    q.options = q.options.filter((opt) => {
+      const key = opt.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  if (typeof q.difficulty === "string") {
+    const match = DIFFICULTIES.find((d) => d.toLowerCase() === q.difficulty.trim().toLowerCase());
+    q.difficulty = match || undefined;
+  }
+
+  return q;
+}
+
+// Splits raw items into { valid, invalid } after local repair.
+// Each invalid entry keeps its original index and the reasons it failed.
+export function validateQuestions(items) {
+  const valid = [];
+  const invalid = [];
+
+  items.forEach((raw, index) => {
+    const question = repairQuestion(raw);
+    const errors = validateQuestion(question);
+
+    if (errors.length === 0) {
+      valid.push(question);
+    } else {
+      invalid.push({ index, question, errors });
+    }
+  });
+
+  return { valid, invalid };
+}
@@ -0,0 +1,91 @@
+// ===============================
+// QUESTION TYPES
+// ===============================
+// Canonical shape of every supported question format:
+//
+// mcq          { type, question, options: [4 strings], answer: "option text" }
+// multi_select { type, question, options: [strings], answer: ["option text", ...] }
+// true_false   { type, question, options: ["True", "False"], answer: "True" | "False" }
+// fill_blank   { type, question: "... ____ ...", answer: "word", acceptedAnswers: [strings] }
+// short_answer { type, question, answer: "model answer", keywords: [strings], rubric: "..." }
+
+export const QUESTION_TYPES = ["mcq", "multi_select", "true_false", "fill_blank", "short_answer"];
+
+// JSON examples used in the generation prompt, one per type
+export const QUESTION_TYPE_FORMATS = {
+  mcq: `{ "type": "mcq", "question": "...", "options": ["A","B","C","D"], "answer": "A" }`,
+  multi_select: `{ "type": "multi_select", "question": "... (select all that apply)", "options": ["A","B","C","D"], "answer": ["A","C"] }`,
+  true_false: `{ "type": "true_false", "question": "...", "options": ["True","False"], "answer": "True" }`,
+  fill_blank: `{ "type": "fill_blank", "question": "The ____ hook runs side effects.", "answer": "useEffect", "acceptedAnswers": ["useEffect()"] }`,
+  short_answer: `{ "type": "short_answer", "question": "...", "answer": "model answer in 1-2 sentences", "keywords": ["key", "terms"], "rubric": "what a correct answer must mention" }`
+};
+
+const toStringList = (value) =>
+  (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value])
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+// Resolves a letter ("B") or index (1) answer to the option text. Anything
+// that does not resolve is returned as is for the schema check to reject.
+function resolveOption(answer, options) {
+  if (typeof answer === "string" && options.includes(answer.trim())) {
+    return answer.trim();
+  }
+
+  if (typeof answer === "string" && /^[A-Z]$/i.test(answer.trim()) && options.length > 0) {
+    const idx = answer.trim().toUpperCase().charCodeAt(0) - 65;
+    return options[idx] ?? answer;
+  }
+
+  if (Number.isInteger(answer) && answer >= 0 && answer < options.length) {
+    return options[answer];
+  }
+
+  return answer === undefined || answer === null ? "" : String(answer).trim();
+}
+
+// Converts a raw LLM question into its canonical shape.
+// Questions without a known type are treated as single-answer MCQs; a
+// missing or malformed skill label becomes null.
+export function normalizeQuestion(raw) {
+  const type = QUESTION_TYPES.includes(raw?.type) ? raw.type : "mcq";
+  const skill = typeof raw?.skill === "string" && raw.skill.trim() ? raw.skill.trim() : null;
+  const base = { ...raw, type, question: String(raw?.question || "").trim(), skill };
+
+  switch (type) {
+    case "multi_select": {
+      const options = toStringList(raw.options);
+      const answer = toStringList(raw.answer).map((a) => resolveOption(a, options));
+      return { ...base, options, answer: [...new Set(answer)] };
+    }
+
+    case "true_false": {
+      const value = String(raw.answer ?? "").trim();
+      const answer = { true: "True", false: "False" }[value.toLowerCase()] ?? value;
+      return { ...base, options: ["True", "False"], answer };
+    }
+
+    case "fill_blank":
+      return {
+        ...base,
+        options: [],
+        answer: String(raw.answer ?? "").trim(),
+        acceptedAnswers: toStringList(raw.acceptedAnswers)
+      };
+
+    case "short_answer":
+      return {
+        ...base,
+        options: [],
+        answer: String(raw.answer ?? "").trim(),
+        keywords: toStringList(raw.keywords),
+        rubric: typeof raw.rubric === "string" ? raw.rubric.trim() : ""
+      };
+
+    default: {
+      const options = toStringList(raw?.options);
+      const answer = resolveOption(raw?.answer, options);
+      return { ...base, options, answer };
+    }
+  }
+}
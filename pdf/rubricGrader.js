@@ -0,0 +1,35 @@
+import { generateJSON } from "./llm/index.js";
+
+// Grades a free-text answer against a model answer and rubric.
+// Resolves to { score: 0..1, feedback }.
+export async function gradeWithRubric({ question, modelAnswer, rubric, response }) {
+  const prompt = `
+You are grading a learner's short answer.
+
+QUESTION:
+${question}
+
+MODEL ANSWER:
+${modelAnswer}
+
+RUBRIC:
+${rubric || "The answer must convey the same key idea as the model answer."}
+
+LEARNER ANSWER:
+${response}
+
+Return ONLY valid JSON:
+
+{ "score": 0.0-1.0, "feedback": "one sentence" }
+`;
+
+  const parsed = await generateJSON({
+    prompt,
+    task: "rubric",
+    input: { question, modelAnswer, rubric, response }
+  });
+
+  const score = Math.min(1, Math.max(0, Number(parsed.score) || 0));
+
+  return { score, feedback: typeof parsed.feedback === "string" ? parsed.feedback : "" };
+}
@@ -1,11 +1,20 @@
 import { createServer } from "http";
-import fetch from "node-fetch";
 import { createRequire } from "module";
-import "dotenv/config";
-import { generateQuestions } from "./questionGenerator.js";
+import "./env.js";
+import { extractText } from "./extractors/index.js";
+import { isPDF } from "./extractors/pdf.js";
+import { hashOf, cached, textCache } from "./cache.js";
+import { createMcpServer } from "./mcp/protocol.js";
+import { handleMcpHttp } from "./mcp/http.js";
+import { serveStdio } from "./mcp/stdio.js";
+import { tools } from "./tools.js";
 
 const require = createRequire(import.meta.url);
-const pdfParse = require("pdf-parse"); // works with v1.1.1
+const { name, version } = require("./package.json");
+
+// Largest PDF accepted by POST /extract
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB || 20);
+const MAX_UPLOAD_BYTES = Math.floor(MAX_UPLOAD_MB * 1024 * 1024);
 
 // ------------------- Global Error Protection -------------------
 process.on("uncaughtException", err => {
@@ -18,194 +27,99 @@ process.on("unhandledRejection", err => {
 // ---------------------------------------------------------------
 
 
-// Convert GitHub link → raw link
-function githubToRaw(url) {
-  if (url.includes("raw.githubusercontent.com")) return url;
-
-  const match = url.match(
-    /github\.com\/([^\/]+)\/([^\/]+)\/blob\/([^\/]+)\/(.+)/
-  );
-
-  if (!match) throw new Error("Invalid GitHub URL");
-
-  const [, owner, repo, branch, path] = match;
-
-  return `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${encodeURIComponent(
-    path
-  )}`;
-}
-
-
-// Fetch PDF
-async function fetchPDF(githubUrl) {
-  const rawUrl = githubToRaw(githubUrl);
-
-  console.log("📥 Fetching PDF:", rawUrl);
-
-  const res = await fetch(rawUrl);
-
-  if (!res.ok) {
-    throw new Error("Failed to fetch PDF");
-  }
-
-  const buffer = Buffer.from(await res.arrayBuffer());
-
-  // Real PDF check
-  if (!buffer.slice(0, 4).toString().includes("%PDF")) {
-    throw new Error("Not a valid PDF file");
-  }
-
-  return buffer;
-}
-
-
-// ------------------- Server -------------------
-const server = createServer((req, res) => {
-
-  let body = "";
-
-  req.on("data", chunk => {
-    body += chunk;
-  });
-
-
-  req.on("end", async () => {
-
-    try {
-      if (!body) {
-        throw new Error("Empty request body");
-      }
-
-      const request = JSON.parse(body);
-
-
-      if (request.method !== "tools/call") {
-        throw new Error("Invalid method");
-      }
-
-      const { name, arguments: args } = request.params;
-
-
-      // ---------- Only PDF Extraction ----------
-      if (name === "read_github_pdf") {
-
-        const buffer = await fetchPDF(args.github_url);
+// ------------------- MCP -------------------
+// `node server.js --stdio` serves MCP over stdin/stdout for clients that
+// spawn the server; otherwise streamable HTTP on port 3333 at /mcp (and /,
+// where the backend has always called it).
+const mcp = createMcpServer({
+  name,
+  version,
+  instructions: "Reads PDF, DOCX, Markdown, HTML and text documents from links and generates quiz questions from them.",
+  tools
+});
 
-        const data = await pdfParse(buffer);
 
-        const cleanText = data.text
-          .replace(/\s+/g, " ")
-          .replace(/\n+/g, " ")
-          .trim()
-          .substring(0, 8000);
+// ------------------- Upload Extraction -------------------
+// POST /extract with the raw PDF bytes as the body (streamed by the backend
+// upload endpoint). Responds with { text, document, cache }.
+async function handleExtract(req, res) {
 
+  const sendJSON = (status, payload) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  };
 
-        res.writeHead(200, {
-          "Content-Type": "application/json"
-        });
+  try {
+    const chunks = [];
+    let size = 0;
 
-        res.end(JSON.stringify({
-          jsonrpc: "2.0",
-          id: request.id,
-          result: {
-            text: cleanText
-          }
-        }));
+    for await (const chunk of req) {
+      size += chunk.length;
 
+      if (size > MAX_UPLOAD_BYTES) {
+        sendJSON(413, { error: `File larger than ${MAX_UPLOAD_MB} MB` });
+        req.destroy();
         return;
       }
 
+      chunks.push(chunk);
+    }
 
-      // ---------- PDF + Generate Questions ----------
-      if (name === "read_github_pdf_and_generate_questions") {
-
-        const buffer = await fetchPDF(args.github_url);
-
-        const data = await pdfParse(buffer);
-
-
-        const text = data.text
-          .replace(/\s+/g, " ")
-          .replace(/\n+/g, " ")
-          .trim()
-          .substring(0, 8000);
-
-
-        console.log("📤 Sending to Gemini, length:", text.length);
-
-
-        let questions;
-
-        // Protect Gemini call
-        try {
-          questions = await generateQuestions(text);
-        } catch (aiErr) {
-
-          console.error("❌ AI FAILED:", aiErr);
-
-          res.writeHead(500, {
-            "Content-Type": "application/json"
-          });
-
-          res.end(JSON.stringify({
-            jsonrpc: "2.0",
-            id: request.id,
-            error: {
-              code: -32002,
-              message: "Question generation failed",
-              details: aiErr.message
-            }
-          }));
+    const buffer = Buffer.concat(chunks);
 
-          return;
-        }
+    if (!isPDF(buffer)) {
+      sendJSON(415, { error: "Not a valid PDF file" });
+      return;
+    }
 
+    console.log("📥 Extracting uploaded PDF:", size, "bytes");
 
-        console.log("✅ Questions Generated");
+    // Same bytes as an earlier upload (or link): reuse that extraction
+    const { value, cache } = await cached(textCache, hashOf("text", buffer, "pdf"), {}, async () => {
+      const { text, document } = await extractText(buffer, { format: "pdf" });
+      return { text, document };
+    });
 
+    sendJSON(200, { ...value, cache });
 
-        res.writeHead(200, {
-          "Content-Type": "application/json"
-        });
+  } catch (err) {
+    console.error("❌ EXTRACT ERROR:", err);
+    sendJSON(500, { error: "PDF extraction failed", details: err.message });
+  }
+}
 
-        res.end(JSON.stringify({
-          jsonrpc: "2.0",
-          id: request.id,
-          result: {
-            questions
-          }
-        }));
 
-        return;
-      }
+// ------------------- Server -------------------
+if (process.argv.includes("--stdio")) {
 
+  serveStdio(mcp);
 
-      throw new Error("Unknown MCP method");
+} else {
 
+  const server = createServer((req, res) => {
 
-    } catch (err) {
+    if (req.method === "POST" && req.url === "/extract") {
+      handleExtract(req, res);
+      return;
+    }
 
-      console.error("❌ SERVER ERROR:", err);
+    const path = req.url.split("?")[0];
 
-      res.writeHead(500, {
-        "Content-Type": "application/json"
+    if (path === "/mcp" || path === "/") {
+      handleMcpHttp(mcp, req, res).catch(err => {
+        console.error("❌ SERVER ERROR:", err);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
       });
-
-      res.end(JSON.stringify({
-        jsonrpc: "2.0",
-        id: null,
-        error: {
-          code: -32001,
-          message: err.message
-        }
-      }));
+      return;
     }
 
+    res.writeHead(404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: "Not found" }));
   });
 
-});
 
-
-server.listen(3333, () => {
-  console.log("✅ MCP GitHub PDF server running on port 3333");
-});
\ No newline at end of file
+  server.listen(3333, () => {
+    console.log("✅ MCP document server running on port 3333 (POST /mcp)");
+  });
+}
@@ -0,0 +1,152 @@
+import { generateJSON } from "./llm/index.js";
+import { sourceAppearsIn } from "./questionGenerator.js";
+import { MAX_SKILLS } from "./generationOptions.js";
+
+// ===============================
+// RESUME SKILL PROFILE
+// ===============================
+// Turns resume text into a structured profile:
+//
+// {
+//   skills:     [{ name, evidence: ["..."], grounded }],
+//   tools:      [{ name, evidence, grounded }],
+//   frameworks: [{ name, evidence, grounded }],
+//   projects:   [{ name, description, technologies: [], evidence, grounded }],
+//   seniority:  { level, yearsOfExperience, evidence, grounded }
+// }
+//
+// Evidence snippets are quoted from the resume by the LLM and kept only when
+// they really appear in the text; `grounded` is false for an item with no
+// verifiable snippet left, so callers can tell claims from guesses.
+
+export const SENIORITY_LEVELS = ["Intern", "Junior", "Mid-level", "Senior", "Lead", "Principal"];
+
+const MAX_ITEMS = 25;
+const MAX_EVIDENCE = 3;
+
+// A resume fits in a few pages; anything longer (a whole portfolio or thesis
+// uploaded by mistake) is cut so the prompt stays within the model's budget
+const MAX_RESUME_CHARS = 24000;
+
+const str = (value) => (typeof value === "string" ? value.trim() : "");
+
+// Evidence snippets that can be found in the resume text
+function verifiedEvidence(evidence, text) {
+  return (Array.isArray(evidence) ? evidence : [evidence])
+    .map(str)
+    .filter((snippet) => sourceAppearsIn(snippet, text))
+    .slice(0, MAX_EVIDENCE);
+}
+
+// One named list, deduplicated case-insensitively
+function normalizeItems(items, text, extra = () => ({})) {
+  const seen = new Set();
+
+  return (Array.isArray(items) ? items : [])
+    .map((item) => (typeof item === "string" ? { name: item } : item || {}))
+    .filter((item) => {
+      const key = str(item.name).toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_ITEMS)
+    .map((item) => {
+      const evidence = verifiedEvidence(item.evidence, text);
+      return { name: str(item.name), ...extra(item), evidence, grounded: evidence.length > 0 };
+    });
+}
+
+function normalizeSeniority(raw, text) {
+  const level = SENIORITY_LEVELS.find((l) => l.toLowerCase() === str(raw?.level).toLowerCase()) || null;
+  const years = Number(raw?.yearsOfExperience);
+  const evidence = verifiedEvidence(raw?.evidence, text);
+
+  return {
+    level,
+    yearsOfExperience: Number.isFinite(years) && years >= 0 ? years : null,
+    evidence,
+    grounded: evidence.length > 0
+  };
+}
+
+// Resolves to the profile described above. Throws when the text is too
+// short to be a resume.
+export async function extractSkillProfile(text) {
+  if (!text || text.length < 200) {
+    throw new Error("Not enough content");
+  }
+
+  const resume = text.length > MAX_RESUME_CHARS ? text.slice(0, MAX_RESUME_CHARS) : text;
+  if (resume !== text) {
+    console.warn(`⚠️ Resume cut to ${MAX_RESUME_CHARS} of ${text.length} characters`);
+  }
+
+  const prompt = `
+You are an experienced technical recruiter reading a resume.
+
+Extract what the candidate claims to know:
+
+- skills: programming languages and technical skills (e.g. "Python", "SQL", "REST API design")
+- tools: tools and platforms (e.g. "Git", "Docker", "AWS")
+- frameworks: frameworks and libraries (e.g. "React", "Django")
+- projects: projects with a one-sentence description and the technologies used
+- seniority: the claimed level (${SENIORITY_LEVELS.join(", ")}) and years of experience
+
+RULES:
+1. Only list what the resume states; do not infer skills it does not mention
+2. Every item needs "evidence": 1-${MAX_EVIDENCE} short snippets copied WORD FOR WORD from the resume
+3. Use null for a seniority level or years the resume does not state
+4. Return ONLY valid JSON, no explanation
+
+{
+  "skills": [{ "name": "...", "evidence": ["..."] }],
+  "tools": [{ "name": "...", "evidence": ["..."] }],
+  "frameworks": [{ "name": "...", "evidence": ["..."] }],
+  "projects": [{ "name": "...", "description": "...", "technologies": ["..."], "evidence": ["..."] }],
+  "seniority": { "level": "Senior", "yearsOfExperience": 6, "evidence": ["..."] }
+}
+
+RESUME:
+${resume}
+`;
+
+  const raw = await generateJSON({ prompt, task: "skill-profile", input: { text: resume } });
+
+  const profile = {
+    skills: normalizeItems(raw?.skills, text),
+    tools: normalizeItems(raw?.tools, text),
+    frameworks: normalizeItems(raw?.frameworks, text),
+    projects: normalizeItems(raw?.projects, text, (item) => ({
+      description: str(item.description),
+      technologies: (Array.isArray(item.technologies) ? item.technologies : []).map(str).filter(Boolean)
+    })),
+    seniority: normalizeSeniority(raw?.seniority, text)
+  };
+
+  const ungrounded = [...profile.skills, ...profile.tools, ...profile.frameworks, ...profile.projects]
+    .filter((item) => !item.grounded).length;
+  if (ungrounded > 0) {
+    console.warn(`⚠️ ${ungrounded} profile item(s) have no evidence found in the resume`);
+  }
+
+  return profile;
+}
+
+// Names to quiz on: skills first, then frameworks and tools; grounded items
+// before unverified ones, at most `limit`
+export function skillsFromProfile(profile, limit = MAX_SKILLS) {
+  const items = [...(profile?.skills || []), ...(profile?.frameworks || []), ...(profile?.tools || [])]
+    .filter((item) => str(item?.name));
+  const seen = new Set();
+
+  return [...items.filter((item) => item.grounded !== false), ...items.filter((item) => item.grounded === false)]
+    .map((item) => str(item.name))
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
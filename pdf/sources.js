@@ -0,0 +1,318 @@
+import fetch from "node-fetch";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+// ===============================
+// REMOTE SOURCE RESOLVER
+// ===============================
+// Turns a link a learner pastes (GitHub/GitLab/Bitbucket file page, gist,
+// raw URL) into the request that returns the file's bytes, then fetches it.
+//
+// Each provider is { name, match(url), resolve(url) → { url, headers } }.
+// The first provider whose match() accepts the URL wins; "raw" accepts any
+// http(s) URL and is always last.
+//
+// Links come from users, so every request (the first one and each redirect
+// hop) is refused when its host is or resolves to a loopback, private,
+// link-local or unique-local address. Names are checked when the connection
+// is made, so a DNS answer cannot change between the check and the request.
+//
+// Config (all optional):
+//   GITHUB_TOKEN     access token for private GitHub repositories and gists
+//   GITHUB_API_URL   default https://api.github.com
+//   GITHUB_RAW_URL   default https://raw.githubusercontent.com
+//   GITLAB_HOSTS     extra self-hosted GitLab hosts, comma separated
+//   BITBUCKET_HOSTS  extra Bitbucket hosts, comma separated
+//   PRIVATE_SOURCE_HOSTS  hosts allowed to resolve to private addresses
+//                    (e.g. a self-hosted GitLab on the LAN), comma separated
+
+const MAX_REDIRECTS = 5;
+
+const env = (name, fallback) => (process.env[name] || fallback).replace(/\/+$/, "");
+
+const hostList = (defaults, name) => [
+  ...defaults,
+  ...String(process.env[name] || "").split(",").map((h) => h.trim().toLowerCase()).filter(Boolean)
+];
+
+const hostOf = (url) => url.host.toLowerCase();
+
+const sourceError = (provider, message, status) => {
+  const err = new Error(`${provider}: ${message}`);
+  err.provider = provider;
+  err.status = status;
+  err.data = { provider, status };
+  return err;
+};
+
+// ---------- private address guard ----------
+
+const PRIVATE_ADDRESS = "EPRIVATEADDRESS";
+
+const privateRanges = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  privateRanges.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  privateRanges.addSubnet(prefix, bits, "ipv6");
+}
+
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return privateRanges.check(mapped[1], "ipv4");
+
+  return privateRanges.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+const privateHostAllowed = (hostname) =>
+  hostList([], "PRIVATE_SOURCE_HOSTS").includes(hostname.toLowerCase());
+
+const privateAddressError = (hostname) =>
+  Object.assign(new Error(`${hostname} is a private or local network address`), { code: PRIVATE_ADDRESS });
+
+// dns.lookup that refuses private answers; used for every outgoing connection
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (!privateHostAllowed(hostname) && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateAddressError(hostname));
+    }
+
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  "http:": new http.Agent({ lookup: guardedLookup }),
+  "https:": new https.Agent({ lookup: guardedLookup })
+};
+
+// IP literals never go through a lookup, so they are checked here
+function assertPublicHost(provider, url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+
+  if (net.isIP(hostname) && isPrivateAddress(hostname) && !privateHostAllowed(hostname)) {
+    throw sourceError(provider.name, `refusing to fetch from a private or local network address (${url.host})`, 400);
+  }
+}
+
+// ---------- providers ----------
+
+const github = {
+  name: "GitHub",
+
+  match: (url) => ["github.com", "www.github.com", "raw.githubusercontent.com"].includes(hostOf(url)),
+
+  resolve(url) {
+    const token = process.env.GITHUB_TOKEN;
+    const auth = token ? { Authorization: `Bearer ${token}` } : {};
+
+    let owner, repo, ref, path;
+
+    if (hostOf(url) === "raw.githubusercontent.com") {
+      [, owner, repo, ref, path] = url.pathname.match(/^\/([^/]+)\/([^/]+)\/([^/]+)\/(.+)$/) || [];
+    } else {
+      [, owner, repo, ref, path] = url.pathname.match(/^\/([^/]+)\/([^/]+)\/(?:blob|raw)\/([^/]+)\/(.+)$/) || [];
+    }
+
+    if (!path) {
+      throw sourceError("GitHub", "expected a file link like github.com/<owner>/<repo>/blob/<branch>/<path>", 400);
+    }
+
+    // With a token, go through the contents API: it serves private repositories
+    if (token) {
+      return {
+        url: `${env("GITHUB_API_URL", "https://api.github.com")}/repos/${owner}/${repo}/contents/${path}?ref=${encodeURIComponent(ref)}`,
+        headers: { ...auth, Accept: "application/vnd.github.raw" }
+      };
+    }
+
+    return {
+      url: `${env("GITHUB_RAW_URL", "https://raw.githubusercontent.com")}/${owner}/${repo}/${ref}/${path}`,
+      headers: {}
+    };
+  },
+
+  explain(status) {
+    if (status === 404) {
+      return process.env.GITHUB_TOKEN
+        ? "file not found, or the access token cannot read this repository"
+        : "file not found (private repositories need GITHUB_TOKEN)";
+    }
+    if (status === 401 || status === 403) return "access denied, check GITHUB_TOKEN";
+  }
+};
+
+const gist = {
+  name: "GitHub Gist",
+
+  match: (url) => ["gist.github.com", "gist.githubusercontent.com"].includes(hostOf(url)),
+
+  resolve(url) {
+    const token = process.env.GITHUB_TOKEN;
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+    // Already a raw file link
+    if (hostOf(url) === "gist.githubusercontent.com") {
+      return { url: url.href, headers };
+    }
+
+    const [, user, id] = url.pathname.match(/^\/([^/]+)\/([0-9a-f]+)/i) || [];
+    if (!id) throw sourceError("GitHub Gist", "expected a link like gist.github.com/<user>/<id>", 400);
+
+    // gist.github.com/<user>/<id>/raw redirects to the gist's first file
+    return { url: `${url.origin}/${user}/${id}/raw`, headers };
+  },
+
+  explain(status) {
+    if (status === 404) return "gist not found (secret gists need the full link)";
+  }
+};
+
+const gitlab = {
+  name: "GitLab",
+
+  match: (url) => hostList(["gitlab.com"], "GITLAB_HOSTS").includes(hostOf(url)),
+
+  resolve(url) {
+    // <namespace>/<project>/-/blob/<ref>/<path>; namespaces can be nested
+    const [, project, ref, path] = url.pathname.match(/^\/(.+?)\/-\/(?:blob|raw)\/([^/]+)\/(.+)$/) || [];
+
+    if (!path) {
+      throw sourceError("GitLab", "expected a file link like gitlab.com/<group>/<project>/-/blob/<branch>/<path>", 400);
+    }
+
+    return { url: `${url.origin}/${project}/-/raw/${ref}/${path}`, headers: {} };
+  },
+
+  explain(status) {
+    if (status === 404) return "file not found or the project is private";
+  }
+};
+
+const bitbucket = {
+  name: "Bitbucket",
+
+  match: (url) => hostList(["bitbucket.org"], "BITBUCKET_HOSTS").includes(hostOf(url)),
+
+  resolve(url) {
+    const [, workspace, repo, ref, path] = url.pathname.match(/^\/([^/]+)\/([^/]+)\/(?:src|raw)\/([^/]+)\/(.+)$/) || [];
+
+    if (!path) {
+      throw sourceError("Bitbucket", "expected a file link like bitbucket.org/<workspace>/<repo>/src/<branch>/<path>", 400);
+    }
+
+    return { url: `${url.origin}/${workspace}/${repo}/raw/${ref}/${path}`, headers: {} };
+  },
+
+  explain(status) {
+    if (status === 404) return "file not found or the repository is private";
+  }
+};
+
+const raw = {
+  name: "URL",
+
+  match: () => true,
+
+  resolve: (url) => ({ url: url.href, headers: {} }),
+
+  explain(status) {
+    if (status === 404) return "file not found";
+    if (status === 401 || status === 403) return "access denied";
+  }
+};
+
+export const providers = [github, gist, gitlab, bitbucket, raw];
+
+export function resolveSource(link) {
+  let url;
+  try {
+    url = new URL(String(link || "").trim());
+  } catch {
+    throw sourceError("URL", `"${link}" is not a valid URL`, 400);
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw sourceError("URL", "only http and https links are supported", 400);
+  }
+
+  const provider = providers.find((p) => p.match(url));
+
+  return { provider, ...provider.resolve(url) };
+}
+
+// GET with redirects followed by hand, so credentials are only ever sent to
+// the host they were configured for
+async function fetchFollowingRedirects(provider, url, headers) {
+  let current = url;
+  let currentHeaders = headers;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertPublicHost(provider, new URL(current));
+
+    let res;
+    try {
+      res = await fetch(current, {
+        headers: currentHeaders,
+        redirect: "manual",
+        agent: (parsed) => agents[parsed.protocol]
+      });
+    } catch (err) {
+      if (err.code === PRIVATE_ADDRESS) {
+        throw sourceError(provider.name, `refusing to fetch from a private or local network address (${new URL(current).host})`, 400);
+      }
+      throw sourceError(provider.name, `could not reach ${new URL(current).host} (${err.message})`, 502);
+    }
+
+    if (res.status < 300 || res.status >= 400 || !res.headers.get("location")) {
+      return { res, finalUrl: current };
+    }
+
+    const next = new URL(res.headers.get("location"), current);
+
+    if (!["http:", "https:"].includes(next.protocol)) {
+      throw sourceError(provider.name, "redirected to a link that is not http or https", 502);
+    }
+
+    if (next.host !== new URL(current).host) {
+      const { Authorization, ...rest } = currentHeaders;
+      currentHeaders = rest;
+    }
+
+    current = next.href;
+  }
+
+  throw sourceError(provider.name, `too many redirects (more than ${MAX_REDIRECTS})`, 502);
+}
+
+// Link → { buffer, contentType, filename, provider }
+export async function fetchSource(link) {
+  const { provider, url, headers } = resolveSource(link);
+
+  console.log(`📥 Fetching from ${provider.name}:`, url);
+
+  const { res, finalUrl } = await fetchFollowingRedirects(provider, url, headers);
+
+  if (!res.ok) {
+    const reason = provider.explain?.(res.status) || `request failed with HTTP ${res.status}`;
+    throw sourceError(provider.name, reason, res.status === 404 ? 404 : 502);
+  }
+
+  // The pasted link usually carries the real file name; API and redirect URLs may not
+  const linkPath = new URL(String(link).trim()).pathname;
+
+  return {
+    buffer: Buffer.from(await res.arrayBuffer()),
+    contentType: res.headers.get("content-type") || "",
+    filename: /\.[a-z0-9]+$/i.test(linkPath) ? linkPath : new URL(finalUrl).pathname,
+    provider: provider.name
+  };
+}
@@ -0,0 +1,166 @@
+import { test, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { fetchSource, resolveSource } from "../sources.js";
+
+// Local HTTP stand-in for GitHub, GitLab, Bitbucket and plain hosts.
+// `routes` maps a path to a handler; every request is recorded.
+let server;
+let base;
+let port;
+let requests = [];
+let routes = {};
+
+const ENV_KEYS = ["GITHUB_TOKEN", "GITHUB_API_URL", "GITHUB_RAW_URL", "GITLAB_HOSTS", "BITBUCKET_HOSTS", "PRIVATE_SOURCE_HOSTS"];
+
+before(async () => {
+  // The fetch log would share stdout with the test runner's own reports
+  mock.method(console, "log", () => {});
+
+  server = http.createServer((req, res) => {
+    requests.push({ host: req.headers.host, url: req.url, headers: req.headers });
+
+    const handler = routes[req.url.split("?")[0]];
+    if (!handler) {
+      res.writeHead(404);
+      return res.end();
+    }
+    handler(req, res);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+  base = `http://127.0.0.1:${port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  routes = {};
+  for (const key of ENV_KEYS) delete process.env[key];
+
+  // The stand-in runs on loopback, which is refused unless allowed
+  process.env.PRIVATE_SOURCE_HOSTS = "127.0.0.1,localhost";
+});
+
+const send = (body, status = 200) => (req, res) => {
+  res.writeHead(status, { "Content-Type": "application/octet-stream" });
+  res.end(body);
+};
+
+test("GitHub with a token goes through the contents API", async () => {
+  process.env.GITHUB_TOKEN = "secret";
+  process.env.GITHUB_API_URL = `${base}/api`;
+  routes["/api/repos/acme/notes/contents/docs/guide.pdf"] = send("pdf bytes");
+
+  const result = await fetchSource("https://github.com/acme/notes/blob/main/docs/guide.pdf");
+
+  assert.equal(result.buffer.toString(), "pdf bytes");
+  assert.equal(result.provider, "GitHub");
+  assert.equal(result.filename, "/acme/notes/blob/main/docs/guide.pdf");
+  assert.equal(requests[0].url, "/api/repos/acme/notes/contents/docs/guide.pdf?ref=main");
+  assert.equal(requests[0].headers.authorization, "Bearer secret");
+  assert.equal(requests[0].headers.accept, "application/vnd.github.raw");
+});
+
+test("GitHub without a token reads the raw host", async () => {
+  process.env.GITHUB_RAW_URL = base;
+  routes["/acme/notes/main/README.md"] = send("# Notes");
+
+  const result = await fetchSource("https://github.com/acme/notes/blob/main/README.md");
+
+  assert.equal(result.buffer.toString(), "# Notes");
+  assert.equal(requests[0].headers.authorization, undefined);
+});
+
+test("gist, GitLab and Bitbucket links are rewritten to raw file URLs", () => {
+  assert.equal(resolveSource("https://gist.github.com/ana/0123abcd").url, "https://gist.github.com/ana/0123abcd/raw");
+  assert.equal(
+    resolveSource("https://gitlab.com/group/sub/project/-/blob/main/docs/a.md").url,
+    "https://gitlab.com/group/sub/project/-/raw/main/docs/a.md"
+  );
+  assert.equal(
+    resolveSource("https://bitbucket.org/team/repo/src/dev/notes.txt").url,
+    "https://bitbucket.org/team/repo/raw/dev/notes.txt"
+  );
+});
+
+test("self-hosted GitLab and Bitbucket hosts are fetched through their raw paths", async () => {
+  process.env.GITLAB_HOSTS = `127.0.0.1:${port}`;
+  routes["/group/project/-/raw/main/a.md"] = send("gitlab file");
+
+  const gitlab = await fetchSource(`${base}/group/project/-/blob/main/a.md`);
+  assert.equal(gitlab.provider, "GitLab");
+  assert.equal(gitlab.buffer.toString(), "gitlab file");
+
+  delete process.env.GITLAB_HOSTS;
+  process.env.BITBUCKET_HOSTS = `127.0.0.1:${port}`;
+  routes["/team/repo/raw/dev/b.txt"] = send("bitbucket file");
+
+  const bitbucket = await fetchSource(`${base}/team/repo/src/dev/b.txt`);
+  assert.equal(bitbucket.provider, "Bitbucket");
+  assert.equal(bitbucket.buffer.toString(), "bitbucket file");
+});
+
+test("the Authorization header is dropped on a cross-host redirect", async () => {
+  process.env.GITHUB_TOKEN = "secret";
+  process.env.GITHUB_API_URL = `${base}/api`;
+  routes["/api/repos/acme/notes/contents/a.pdf"] = (req, res) => {
+    res.writeHead(302, { Location: `http://localhost:${port}/storage/a.pdf` });
+    res.end();
+  };
+  routes["/storage/a.pdf"] = send("redirected bytes");
+
+  const result = await fetchSource("https://github.com/acme/notes/blob/main/a.pdf");
+
+  assert.equal(result.buffer.toString(), "redirected bytes");
+  assert.equal(requests[0].headers.authorization, "Bearer secret");
+  assert.equal(requests[1].host, `localhost:${port}`);
+  assert.equal(requests[1].headers.authorization, undefined);
+});
+
+test("404 and 401 responses are explained per provider", async () => {
+  process.env.GITHUB_TOKEN = "secret";
+  process.env.GITHUB_API_URL = `${base}/api`;
+
+  await assert.rejects(fetchSource("https://github.com/acme/private/blob/main/a.pdf"), {
+    message: "GitHub: file not found, or the access token cannot read this repository",
+    status: 404
+  });
+
+  routes["/api/repos/acme/locked/contents/a.pdf"] = send("", 401);
+  await assert.rejects(fetchSource("https://github.com/acme/locked/blob/main/a.pdf"), {
+    message: "GitHub: access denied, check GITHUB_TOKEN",
+    status: 502
+  });
+
+  delete process.env.GITHUB_TOKEN;
+  process.env.GITHUB_RAW_URL = base;
+  await assert.rejects(fetchSource("https://github.com/acme/private/blob/main/a.pdf"), {
+    message: "GitHub: file not found (private repositories need GITHUB_TOKEN)"
+  });
+
+  await assert.rejects(fetchSource(`${base}/missing.pdf`), { message: "URL: file not found", status: 404 });
+});
+
+test("private and local addresses are refused, also after a redirect", async () => {
+  delete process.env.PRIVATE_SOURCE_HOSTS;
+
+  await assert.rejects(fetchSource(`${base}/a.pdf`), { status: 400 });
+  await assert.rejects(fetchSource(`http://localhost:${port}/a.pdf`), { status: 400 });
+  await assert.rejects(fetchSource("http://169.254.169.254/latest/meta-data/"), { status: 400 });
+  await assert.rejects(fetchSource("http://[::1]/a.pdf"), { status: 400 });
+  assert.equal(requests.length, 0);
+
+  process.env.PRIVATE_SOURCE_HOSTS = "127.0.0.1";
+  routes["/hop"] = (req, res) => {
+    res.writeHead(302, { Location: "http://10.0.0.5/internal" });
+    res.end();
+  };
+
+  await assert.rejects(fetchSource(`${base}/hop`), {
+    message: "URL: refusing to fetch from a private or local network address (10.0.0.5)",
+    status: 400
+  });
+});
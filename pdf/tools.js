@@ -0,0 +1,190 @@
+import { fetchSource } from "./sources.js";
+import { extractText } from "./extractors/index.js";
+import { hashOf, cached, linkCache, textCache, generateQuestionsCached, extractSkillProfileCached } from "./cache.js";
+import {
+  validateGenerationOptions,
+  MAX_QUESTION_COUNT,
+  MAX_FOCUS_TOPICS,
+  MAX_SKILLS,
+  MAX_QUESTIONS_PER_SKILL,
+  DIFFICULTY_LEVELS
+} from "./generationOptions.js";
+import { QUESTION_TYPES } from "./questionTypes.js";
+import { rpcError, INVALID_PARAMS } from "./mcp/protocol.js";
+
+// ===============================
+// MCP TOOLS
+// ===============================
+// Everything the document service offers to MCP clients. Each tool has the
+// JSON Schema published by tools/list; arguments are checked against it
+// before the handler runs.
+
+// Document URL → { text, document, cache }. `format` forces an extractor (pdf, docx,
+// markdown, html, text); without it the registry picks one. A link seen
+// recently is not downloaded again; otherwise the bytes are hashed and
+// extraction is skipped when those bytes were extracted before.
+async function readDocument(url, format, bypass = false) {
+  const linkKey = hashOf("link", url, format);
+  const knownContent = bypass ? undefined : linkCache.get(linkKey);
+
+  if (knownContent) {
+    const extracted = textCache.get(knownContent);
+    if (extracted !== undefined) {
+      console.log("🗄️ Text cache hit (link)");
+      return { ...extracted, cache: "hit" };
+    }
+  }
+
+  const { buffer, contentType, filename } = await fetchSource(url);
+  const contentKey = hashOf("text", buffer, format);
+  linkCache.set(linkKey, contentKey);
+
+  const { value, cache } = await cached(textCache, contentKey, { bypass }, async () => {
+    const { text, format: used, document } = await extractText(buffer, { format, contentType, filename });
+    console.log(`📄 Extracted ${text.length} chars as ${used}, ${document.sections.length} sections`);
+    return { text, document };
+  });
+
+  console.log(`🗄️ Text cache ${cache}`);
+
+  return { ...value, cache };
+}
+
+const urlProperty = {
+  type: "string",
+  minLength: 1,
+  description: "Link to the file: GitHub, GitLab or Bitbucket file page, gist, or any raw http(s) URL"
+};
+
+const bypassProperty = {
+  type: "boolean",
+  description: "Skip the cache and process the document again"
+};
+
+const generationOptionsSchema = {
+  type: "object",
+  description: "Quiz settings; anything left out uses the defaults (5 multiple-choice questions, any difficulty)",
+  properties: {
+    count: { type: "integer", minimum: 1, maximum: MAX_QUESTION_COUNT, description: "Number of questions" },
+    difficulty: {
+      type: ["string", "object"],
+      description: `One level (${DIFFICULTY_LEVELS.join(", ")}) or a mix like { "beginner": 2, "advanced": 3 } that adds up to count`
+    },
+    topics: {
+      type: "array",
+      maxItems: MAX_FOCUS_TOPICS,
+      items: { type: "string" },
+      description: "Optional focus topics"
+    },
+    types: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", enum: QUESTION_TYPES },
+      description: "Allowed question formats"
+    },
+    skills: {
+      type: "array",
+      maxItems: MAX_SKILLS,
+      items: { type: "string" },
+      description: "Skills to test; every skill gets questionsPerSkill questions and count becomes skills × questionsPerSkill"
+    },
+    questionsPerSkill: {
+      type: "integer",
+      minimum: 1,
+      maximum: MAX_QUESTIONS_PER_SKILL,
+      description: "Questions per listed skill (default 1)"
+    }
+  }
+};
+
+// One extraction tool per format, plus auto-detection
+const readTool = (name, format, title, description) => ({
+  name,
+  title,
+  description,
+  inputSchema: {
+    type: "object",
+    properties: { url: urlProperty, bypass_cache: bypassProperty },
+    required: ["url"]
+  },
+  handler: ({ url, bypass_cache }) => readDocument(url, format, bypass_cache)
+});
+
+export const tools = [
+  {
+    name: "read_github_pdf",
+    title: "Read PDF",
+    description: "Download a PDF (GitHub blob link or any supported link) and return its text and structure (pages, sections, paragraphs).",
+    inputSchema: {
+      type: "object",
+      properties: { github_url: urlProperty, bypass_cache: bypassProperty },
+      required: ["github_url"]
+    },
+    handler: ({ github_url, bypass_cache }) => readDocument(github_url, "pdf", bypass_cache)
+  },
+
+  readTool("read_docx", "docx", "Read Word document", "Download a .docx file and return its text."),
+  readTool("read_markdown", "markdown", "Read Markdown", "Download a Markdown file and return its text without markup."),
+  readTool("read_html", "html", "Read web page", "Download a web page and return its main text, without menus, headers and footers."),
+  readTool("read_text", "text", "Read text file", "Download a plain-text file and return its contents."),
+  readTool("read_document", null, "Read document", "Download a PDF, DOCX, Markdown, HTML or text file, detecting the format, and return its text."),
+
+  {
+    name: "extract_skill_profile",
+    title: "Extract resume skill profile",
+    description: "Download a resume (PDF or any supported format) and return the skills, tools, frameworks, projects and claimed seniority it lists, each with evidence snippets from the resume.",
+    inputSchema: {
+      type: "object",
+      properties: { url: urlProperty, bypass_cache: bypassProperty },
+      required: ["url"]
+    },
+    async handler({ url, bypass_cache }) {
+      const extracted = await readDocument(url, null, bypass_cache);
+      const { profile, cache } = await extractSkillProfileCached(extracted.text, { bypass: bypass_cache });
+
+      console.log("✅ Skill profile extracted");
+
+      return { profile, cache: { text: extracted.cache, profile: cache } };
+    }
+  },
+
+  {
+    name: "read_github_pdf_and_generate_questions",
+    title: "Generate quiz from PDF",
+    description: "Download a PDF and generate quiz questions that cover the whole document.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        github_url: urlProperty,
+        options: generationOptionsSchema,
+        bypass_cache: bypassProperty
+      },
+      required: ["github_url"]
+    },
+    async handler({ github_url, options: rawOptions, bypass_cache }) {
+      const { options, errors } = validateGenerationOptions(rawOptions || {});
+
+      if (errors.length > 0) {
+        throw rpcError(INVALID_PARAMS, "Invalid generation options", { details: errors });
+      }
+
+      const extracted = await readDocument(github_url, "pdf", bypass_cache);
+
+      console.log("📤 Sending to LLM, length:", extracted.text.length);
+
+      try {
+        const { questions, dropped, cache } = await generateQuestionsCached(extracted.text, options, { bypass: bypass_cache });
+
+        console.log("✅ Questions Generated");
+
+        return { questions, dropped, cache: { text: extracted.cache, questions: cache } };
+      } catch (aiErr) {
+        console.error("❌ AI FAILED:", aiErr);
+
+        const failed = new Error("Question generation failed");
+        failed.data = { details: aiErr.message, dropped: aiErr.dropped };
+        throw failed;
+      }
+    }
+  }
+];
@@ -6,9 +6,9 @@ async function testServices() {
   // Test 1: PDF Microservice
   console.log("1️⃣ Testing PDF Microservice (port 3333)...");
   try {
-    const pdfRes = await fetch("http://localhost:3333", {
+    const pdfRes = await fetch("http://localhost:3333/mcp", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream" },
       body: JSON.stringify({
         jsonrpc: "2.0",
         id: 1,
@@ -20,11 +20,11 @@ async function testServices() {
       })
     });
     const data = await pdfRes.json();
-    if (pdfRes.ok && data.result) {
+    if (pdfRes.ok && data.result && !data.result.isError) {
       console.log("✅ PDF Microservice: OK");
-      console.log(`   Extracted text length: ${data.result.text.length} chars\n`);
+      console.log(`   Extracted text length: ${data.result.structuredContent.text.length} chars\n`);
     } else {
-      console.log("❌ PDF Microservice: Error -", data.error?.message, "\n");
+      console.log("❌ PDF Microservice: Error -", data.error?.message || data.result?.structuredContent?.error, "\n");
     }
   } catch (err) {
     console.log("❌ PDF Microservice: Connection failed -", err.message, "\n");